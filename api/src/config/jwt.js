@@ -1,14 +1,17 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
-const generateAccessToken = (userId, email) => {
-  return jwt.sign({ userId, email }, process.env.JWT_SECRET, {
+const generateAccessToken = (userId, email, sessionId) => {
+  return jwt.sign({ userId, email, sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m',
   });
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+// tokenId becomes the jti, which identifies the token within its session
+const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+    jwtid: tokenId,
   });
 };
 
@@ -20,9 +23,36 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+// Challenge tokens get their own key derived from JWT_SECRET, so they can
+// never pass as access tokens
+const getChallengeSecret = () =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update("2fa-challenge")
+    .digest();
+
+// Proves the password step of a two-step (2FA) login
+const generateChallengeToken = (userId, email) => {
+  return jwt.sign({ userId, email }, getChallengeSecret(), {
+    expiresIn: process.env.JWT_CHALLENGE_EXPIRY || '5m',
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  return jwt.verify(token, getChallengeSecret());
+};
+
+// When a token stops being valid, as a Date
+const getTokenExpiry = (token) => {
+  return new Date(jwt.decode(token).exp * 1000);
+};
+
 export {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getTokenExpiry,
 };
@@ -1,10 +1,19 @@
 import { authService } from "../services/auth.service.js";
+import { emailVerificationService } from "../services/emailVerification.service.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { successResponse } from "../utils/response.js";
 
+// Where a request comes from, recorded on the session it starts or uses
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  deviceName: req.body.deviceName,
+  platform: req.body.platform,
+});
+
 
 export const register = asyncHandler(async (req, res) => {
-  const result = await authService.register(req.body);
+  const result = await authService.register(req.body, getClientInfo(req));
 
   res
     .status(201)
@@ -12,18 +21,56 @@ export const register = asyncHandler(async (req, res) => {
 });
 
 export const login = asyncHandler(async (req, res) => {
-  const result = await authService.login(req.body);
+  const result = await authService.login(req.body, getClientInfo(req));
+
+  res.json(
+    successResponse(
+      result,
+      result.twoFactorRequired
+        ? "Two-factor authentication code required"
+        : "Login successful"
+    )
+  );
+});
+
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.completeTwoFactorLogin(
+    req.body,
+    getClientInfo(req)
+  );
 
   res.json(successResponse(result, "Login successful"));
 });
 
 export const refreshToken = asyncHandler(async (req, res) => {
-  const result = await authService.refreshAccessToken(req.body.refreshToken);
+  const result = await authService.refreshAccessToken(
+    req.body.refreshToken,
+    getClientInfo(req)
+  );
 
   res.json(successResponse(result, "Token refreshed successfully"));
 });
 
+export const unlockAccount = asyncHandler(async (req, res) => {
+  const result = await authService.unlockAccount(req.body.token);
+
+  res.json(successResponse(result, "Account unlocked"));
+});
+
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.verify(req.params.token);
+
+  res.json(successResponse(result, "Email verified successfully"));
+});
+
+export const resendVerification = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.resend(req.user.userId);
+
+  res.json(successResponse(result, "Verification email sent"));
+});
+
 export const logout = asyncHandler(async (req, res) => {
-  // In production, you'd invalidate the token in Redis
+  await authService.logout(req.user.userId, req.user.sessionId);
+
   res.json(successResponse(null, "Logout successful"));
 });
@@ -0,0 +1,117 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { broadcastService } from "../services/broadcast.service.js";
+import { SendMessageCommand } from "../sockets/commands/SendMessageCommand.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { successResponse } from "../utils/response.js";
+
+/**
+ * Get the user's broadcast lists
+ */
+export const getBroadcastLists = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const lists = await broadcastService.getLists(userId);
+
+  res.json(successResponse(lists, "Broadcast lists retrieved"));
+});
+
+/**
+ * Create a broadcast list
+ */
+export const createBroadcastList = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const list = await broadcastService.createList(userId, req.body);
+
+  res
+    .status(201)
+    .json(successResponse(list, "Broadcast list created successfully", 201));
+});
+
+/**
+ * Get a broadcast list
+ */
+export const getBroadcastList = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const list = await broadcastService.getList(id, userId);
+
+  res.json(successResponse(list, "Broadcast list retrieved"));
+});
+
+/**
+ * Rename a broadcast list or change its recipients
+ */
+export const updateBroadcastList = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const list = await broadcastService.updateList(id, userId, req.body);
+
+  res.json(successResponse(list, "Broadcast list updated successfully"));
+});
+
+/**
+ * Delete a broadcast list
+ */
+export const deleteBroadcastList = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const result = await broadcastService.deleteList(id, userId);
+
+  res.json(successResponse(result, "Broadcast list deleted successfully"));
+});
+
+/**
+ * Send a message to every recipient of a broadcast list
+ */
+export const sendBroadcastMessage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const { list, message, deliveries, skipped } =
+    await broadcastService.sendToList(id, userId, req.body);
+
+  // Same fan-out as a live message:send, once per private copy
+  const sendMessageCommand = new SendMessageCommand(
+    req.app.get("io"),
+    connectionManager
+  );
+  await sendMessageCommand.broadcast(list, message, userId);
+  for (const { conversation, message: copy } of deliveries) {
+    await sendMessageCommand.broadcast(conversation, copy, userId);
+  }
+
+  res.status(201).json(
+    successResponse(
+      {
+        message,
+        delivered: deliveries.map(({ conversation, message: copy }) => ({
+          conversationId: conversation._id,
+          messageId: copy._id,
+        })),
+        skipped,
+      },
+      "Broadcast sent successfully",
+      201
+    )
+  );
+});
+
+/**
+ * Delivered/seen report for a broadcast message
+ */
+export const getBroadcastReport = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params;
+  const userId = req.user.userId;
+
+  const report = await broadcastService.getDeliveryReport(
+    id,
+    userId,
+    messageId
+  );
+
+  res.json(successResponse(report, "Broadcast report retrieved"));
+});
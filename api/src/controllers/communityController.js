@@ -0,0 +1,207 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { communityService } from "../services/community.service.js";
+import { groupService } from "../services/group.service.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { successResponse } from "../utils/response.js";
+
+/**
+ * Get the user's communities
+ */
+export const getCommunities = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const communities = await communityService.getUserCommunities(userId);
+
+  res.json(successResponse(communities, "Communities retrieved"));
+});
+
+/**
+ * Create a community
+ */
+export const createCommunity = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const community = await communityService.createCommunity(userId, req.body);
+
+  res
+    .status(201)
+    .json(successResponse(community, "Community created successfully", 201));
+});
+
+/**
+ * Get a community with its groups
+ */
+export const getCommunity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const community = await communityService.getCommunity(id, userId);
+
+  res.json(successResponse(community, "Community retrieved"));
+});
+
+// ========== 👥 MEMBERS ==========
+
+/**
+ * Join a public community
+ */
+export const joinCommunity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const result = await communityService.joinCommunity(id, userId);
+
+  req.app
+    .get("io")
+    .broadcastToConversation(
+      result.announcementChannel.toString(),
+      "group:member_joined",
+      {
+        conversationId: result.announcementChannel,
+        userId,
+        via: "community",
+      }
+    );
+
+  res.json(successResponse(result, "Joined community successfully"));
+});
+
+/**
+ * Leave a community
+ */
+export const leaveCommunity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const result = await communityService.leaveCommunity(id, userId);
+
+  req.app
+    .get("io")
+    .broadcastToConversation(
+      result.announcementChannel.toString(),
+      "group:participant-left",
+      { conversationId: result.announcementChannel, leftUserId: userId }
+    );
+
+  res.json(successResponse(result, "Left community successfully"));
+});
+
+/**
+ * Member directory (?q=&limit=&offset=)
+ */
+export const getCommunityMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { q, limit, offset } = req.query;
+
+  const result = await communityService.getMembers(id, userId, {
+    q,
+    limit: parseInt(limit) || undefined,
+    offset: Math.max(parseInt(offset) || 0, 0),
+  });
+
+  res.json(successResponse(result, "Community members retrieved"));
+});
+
+/**
+ * Add users to the community (admins only)
+ */
+export const addCommunityMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const result = await communityService.addMembers(
+    id,
+    userId,
+    req.body.userIds
+  );
+
+  res.json(successResponse(result, "Members added successfully"));
+});
+
+/**
+ * Make a member a community admin or back to member (owner only)
+ */
+export const setCommunityMemberRole = asyncHandler(async (req, res) => {
+  const { id, userId: targetUserId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await communityService.setMemberRole(
+    id,
+    userId,
+    targetUserId,
+    req.body.role
+  );
+
+  res.json(successResponse(result, "Community role updated"));
+});
+
+// ========== 🧩 GROUPS ==========
+
+/**
+ * Start a new group inside the community
+ */
+export const createCommunityGroup = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const group = await communityService.createGroup(id, userId, req.body);
+
+  res.status(201).json(successResponse(group, "Group created", 201));
+});
+
+/**
+ * Bring an existing group into the community
+ */
+export const addCommunityGroup = asyncHandler(async (req, res) => {
+  const { id, groupId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await communityService.addGroup(id, userId, groupId);
+
+  res.json(successResponse(result, "Group added to community"));
+});
+
+/**
+ * Join one of the community's groups
+ */
+export const joinCommunityGroup = asyncHandler(async (req, res) => {
+  const { id, groupId } = req.params;
+  const userId = req.user.userId;
+
+  const { status, conversation } = await communityService.joinGroup(
+    id,
+    userId,
+    groupId
+  );
+
+  if (status === "pending") {
+    // Let everyone who can approve it know there is a request waiting
+    const adminIds = groupService.getJoinRequestApprovers(conversation);
+
+    for (const adminId of adminIds) {
+      await connectionManager.emitToUser(adminId, "group:join_request", {
+        conversationId: groupId,
+        userId,
+      });
+    }
+
+    return res
+      .status(202)
+      .json(
+        successResponse(
+          { status, conversationId: groupId },
+          "Join request sent to the group admins",
+          202
+        )
+      );
+  }
+
+  req.app.get("io").broadcastToConversation(groupId, "group:member_joined", {
+    conversationId: groupId,
+    userId,
+    via: "community",
+  });
+
+  res.json(successResponse(conversation, "Joined group successfully"));
+});
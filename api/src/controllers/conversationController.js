@@ -2,24 +2,22 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { conversationService } from "../services/conversation.service.js";
 import { groupService } from "../services/group.service.js";
 import { successResponse } from "../utils/response.js";
+import { SendMessageCommand } from "../sockets/commands/SendMessageCommand.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
 
 export const getConversations = asyncHandler(async (req, res) => {
   const userId = req.user.userId;
   console.log("🚀 ~ userId:", userId);
-  const { limit, offset } = req.query;
-  console.log("🚀 ~ offset:", offset);
-  console.log("🚀 ~ limit:", limit);
+  const { limit, cursor, filter, folder } = req.query;
 
-  const conversations = await conversationService?.getUserConversations(
-    userId,
-    {
-      limit: parseInt(limit) || 50,
-      offset: parseInt(offset) || 0,
-    }
-  );
-  console.log("🚀 ~ conversations:", conversations);
+  const inbox = await conversationService.getUserConversations(userId, {
+    limit: parseInt(limit) || undefined,
+    cursor: cursor || null,
+    filter: filter || "all", // all | unread | groups | archived
+    folderId: folder || null,
+  });
 
-  successResponse(res, conversations, "Conversations retrieved");
+  res.json(successResponse(inbox, "Conversations retrieved"));
 });
 
 export const createConversation = asyncHandler(async (req, res) => {
@@ -112,35 +110,23 @@ export const leaveGroup = asyncHandler(async (req, res) => {
 });
 
 /**
- * Promote user to admin
- */
-export const promoteToAdmin = asyncHandler(async (req, res) => {
-  const { id, userId } = req.params; // conversationId, targetUserId
-  const ownerId = req.user.userId;
-
-  console.log("🚀 ~ promoteToAdmin ~ conversationId:", id);
-  console.log("🚀 ~ promoteToAdmin ~ ownerId:", ownerId);
-  console.log("🚀 ~ promoteToAdmin ~ targetUserId:", userId);
-
-  const result = await groupService.promoteToAdmin(id, ownerId, userId);
-
-  res.json(successResponse(result, "User promoted to admin"));
-});
-
-/**
- * Demote admin to member
+ * Assign a member's role (member / moderator / admin, plus a custom role)
  */
-export const demoteFromAdmin = asyncHandler(async (req, res) => {
+export const assignRole = asyncHandler(async (req, res) => {
   const { id, userId } = req.params; // conversationId, targetUserId
-  const ownerId = req.user.userId;
+  const actorId = req.user.userId;
 
-  console.log("🚀 ~ demoteFromAdmin ~ conversationId:", id);
-  console.log("🚀 ~ demoteFromAdmin ~ ownerId:", ownerId);
-  console.log("🚀 ~ demoteFromAdmin ~ targetUserId:", userId);
+  const result = await groupService.assignRole(id, actorId, userId, req.body);
 
-  const result = await groupService.demoteFromAdmin(id, ownerId, userId);
+  req.app.get("io").broadcastToConversation(id, "group:role-updated", {
+    conversationId: id,
+    userId,
+    role: result.role,
+    customRole: result.customRole,
+    updatedBy: actorId,
+  });
 
-  res.json(successResponse(result, "Admin demoted successfully"));
+  res.json(successResponse(result, "Role updated"));
 });
 
 /**
@@ -160,6 +146,42 @@ export const updateGroupInfo = asyncHandler(async (req, res) => {
   res.json(successResponse(result, "Group info updated successfully"));
 });
 
+/**
+ * Update group permissions (who can send, edit info, add, pin, poll)
+ */
+export const updateGroupPermissions = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await groupService.updatePermissions(id, userId, req.body);
+
+  req.app.get("io").broadcastToConversation(id, "group:permissions-updated", {
+    conversationId: id,
+    permissions: result.permissions,
+    updatedBy: userId,
+  });
+
+  res.json(successResponse(result, "Group permissions updated"));
+});
+
+/**
+ * Update adjustable group settings (pin limit, edit window)
+ */
+export const updateGroupSettings = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await groupService.updateSettings(id, userId, req.body);
+
+  req.app.get("io").broadcastToConversation(id, "group:settings-updated", {
+    conversationId: id,
+    settings: result.settings,
+    updatedBy: userId,
+  });
+
+  res.json(successResponse(result, result.message));
+});
+
 /**
  * Transfer ownership
  */
@@ -195,3 +217,556 @@ export const getGroupMembers = asyncHandler(async (req, res) => {
 
   res.json(successResponse(result, "Group members retrieved successfully"));
 });
+
+// ========== 📌 PINNED MESSAGES ==========
+
+/**
+ * Get pinned messages
+ */
+export const getPinnedMessages = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.getPinnedMessages(id, userId);
+
+  res.json(successResponse(result, "Pinned messages retrieved"));
+});
+
+/**
+ * Pin a message
+ */
+export const pinMessage = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params; // conversationId, messageId
+  const userId = req.user.userId;
+
+  const { pin, systemMessage, conversation } =
+    await conversationService.pinMessage(id, userId, messageId);
+
+  const io = req.app.get("io");
+  io.broadcastToConversation(id, "message:pinned", {
+    conversationId: id,
+    messageId,
+    pinnedBy: userId,
+    pinnedAt: pin.pinnedAt,
+  });
+  await new SendMessageCommand(io, connectionManager).broadcast(
+    conversation,
+    systemMessage,
+    userId
+  );
+
+  res.json(successResponse(pin, "Message pinned successfully"));
+});
+
+/**
+ * Unpin a message
+ */
+export const unpinMessage = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params; // conversationId, messageId
+  const userId = req.user.userId;
+
+  const { systemMessage, conversation } =
+    await conversationService.unpinMessage(id, userId, messageId);
+
+  const io = req.app.get("io");
+  io.broadcastToConversation(id, "message:unpinned", {
+    conversationId: id,
+    messageId,
+    unpinnedBy: userId,
+  });
+  await new SendMessageCommand(io, connectionManager).broadcast(
+    conversation,
+    systemMessage,
+    userId
+  );
+
+  res.json(successResponse({ messageId }, "Message unpinned successfully"));
+});
+
+/**
+ * Get the group's invite link (admins only)
+ */
+export const getInviteLink = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const invite = await groupService.getInviteLink(id, userId);
+
+  res.json(successResponse(invite, "Invite link retrieved"));
+});
+
+/**
+ * Create an invite link
+ */
+export const createInviteLink = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const invite = await groupService.createInviteLink(id, userId, req.body);
+
+  res.status(201).json(successResponse(invite, "Invite link created", 201));
+});
+
+/**
+ * Rotate the invite link (old code stops working)
+ */
+export const rotateInviteLink = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const invite = await groupService.rotateInviteLink(id, userId, req.body);
+
+  res.json(successResponse(invite, "Invite link rotated"));
+});
+
+/**
+ * Revoke the invite link
+ */
+export const revokeInviteLink = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await groupService.revokeInviteLink(id, userId);
+
+  res.json(successResponse(result, "Invite link revoked"));
+});
+
+/**
+ * List pending join requests (admins only)
+ */
+export const getJoinRequests = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const requests = await groupService.getJoinRequests(id, userId);
+
+  res.json(successResponse(requests, "Join requests retrieved"));
+});
+
+/**
+ * Approve a join request
+ */
+export const approveJoinRequest = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params; // conversationId, targetUserId
+  const adminUserId = req.user.userId;
+
+  const result = await groupService.approveJoinRequest(id, adminUserId, userId);
+
+  const io = req.app.get("io");
+  io.broadcastToConversation(id, "group:member_joined", {
+    conversationId: id,
+    userId,
+    via: "invite",
+  });
+  await connectionManager.emitToUser(userId, "group:join_request:approved", {
+    conversationId: id,
+  });
+
+  res.json(
+    successResponse(
+      { message: result.message, userId: result.userId },
+      "Join request approved"
+    )
+  );
+});
+
+/**
+ * Reject a join request
+ */
+export const rejectJoinRequest = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params; // conversationId, targetUserId
+  const adminUserId = req.user.userId;
+
+  const result = await groupService.rejectJoinRequest(id, adminUserId, userId);
+
+  await connectionManager.emitToUser(userId, "group:join_request:rejected", {
+    conversationId: id,
+  });
+
+  res.json(successResponse(result, "Join request rejected"));
+});
+
+// ========== ⏳ DISAPPEARING MESSAGES ==========
+
+/**
+ * Turn disappearing messages on or off
+ */
+export const setDisappearingMessages = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const { settings, systemMessage, conversation } =
+    await conversationService.setDisappearingMessages(
+      id,
+      userId,
+      req.body.messageTTL
+    );
+
+  const io = req.app.get("io");
+  io.broadcastToConversation(id, "conversation:disappearing-updated", {
+    conversationId: id,
+    ...settings,
+    updatedBy: userId,
+  });
+  await new SendMessageCommand(io, connectionManager).broadcast(
+    conversation,
+    systemMessage,
+    userId
+  );
+
+  res.json(successResponse(settings, "Disappearing messages updated"));
+});
+
+// ========== 🗂 ARCHIVE, MUTE & FOLDERS (per user) ==========
+
+/**
+ * Pin a chat to the top of the inbox
+ */
+export const pinConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.pinConversation(id, userId);
+
+  await connectionManager.emitToUser(userId, "conversation:pinned", result);
+
+  res.json(successResponse(result, "Conversation pinned"));
+});
+
+/**
+ * Unpin a chat from the top of the inbox
+ */
+export const unpinConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.unpinConversation(id, userId);
+
+  await connectionManager.emitToUser(userId, "conversation:unpinned", result);
+
+  res.json(successResponse(result, "Conversation unpinned"));
+});
+
+/**
+ * Archive a chat
+ */
+export const archiveConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.setArchived(id, userId, true);
+
+  await connectionManager.emitToUser(userId, "conversation:archived", result);
+
+  res.json(successResponse(result, "Conversation archived"));
+});
+
+/**
+ * Unarchive a chat
+ */
+export const unarchiveConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.setArchived(id, userId, false);
+
+  await connectionManager.emitToUser(userId, "conversation:unarchived", result);
+
+  res.json(successResponse(result, "Conversation unarchived"));
+});
+
+/**
+ * Mute a chat for 8h, 1 week or forever
+ */
+export const muteConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.muteConversation(
+    id,
+    userId,
+    req.body.duration
+  );
+
+  await connectionManager.emitToUser(userId, "conversation:muted", result);
+
+  res.json(successResponse(result, "Conversation muted"));
+});
+
+/**
+ * Unmute a chat
+ */
+export const unmuteConversation = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await conversationService.unmuteConversation(id, userId);
+
+  await connectionManager.emitToUser(userId, "conversation:unmuted", {
+    ...result,
+    reason: "manual",
+  });
+
+  res.json(successResponse(result, "Conversation unmuted"));
+});
+
+/**
+ * Get the user's chat folders
+ */
+export const getFolders = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const folders = await conversationService.getFolders(userId);
+
+  res.json(successResponse(folders, "Folders retrieved"));
+});
+
+/**
+ * Create a chat folder
+ */
+export const createFolder = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const folder = await conversationService.createFolder(userId, req.body.name);
+
+  await connectionManager.emitToUser(userId, "folders:updated", {
+    action: "created",
+    folder,
+  });
+
+  res.status(201).json(successResponse(folder, "Folder created", 201));
+});
+
+/**
+ * Rename a chat folder
+ */
+export const renameFolder = asyncHandler(async (req, res) => {
+  const { folderId } = req.params;
+  const userId = req.user.userId;
+
+  const folder = await conversationService.renameFolder(
+    userId,
+    folderId,
+    req.body.name
+  );
+
+  await connectionManager.emitToUser(userId, "folders:updated", {
+    action: "renamed",
+    folder,
+  });
+
+  res.json(successResponse(folder, "Folder renamed"));
+});
+
+/**
+ * Delete a chat folder
+ */
+export const deleteFolder = asyncHandler(async (req, res) => {
+  const { folderId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await conversationService.deleteFolder(userId, folderId);
+
+  await connectionManager.emitToUser(userId, "folders:updated", {
+    action: "deleted",
+    folderId,
+  });
+
+  res.json(successResponse(result, "Folder deleted"));
+});
+
+/**
+ * Add a chat to a folder
+ */
+export const addToFolder = asyncHandler(async (req, res) => {
+  const { id, folderId } = req.params; // conversationId, folderId
+  const userId = req.user.userId;
+
+  const result = await conversationService.addToFolder(id, userId, folderId);
+
+  await connectionManager.emitToUser(
+    userId,
+    "conversation:folders-updated",
+    result
+  );
+
+  res.json(successResponse(result, "Added to folder"));
+});
+
+/**
+ * Remove a chat from a folder
+ */
+export const removeFromFolder = asyncHandler(async (req, res) => {
+  const { id, folderId } = req.params; // conversationId, folderId
+  const userId = req.user.userId;
+
+  const result = await conversationService.removeFromFolder(
+    id,
+    userId,
+    folderId
+  );
+
+  await connectionManager.emitToUser(
+    userId,
+    "conversation:folders-updated",
+    result
+  );
+
+  res.json(successResponse(result, "Removed from folder"));
+});
+
+// ========== 🛡️ MODERATION ==========
+
+/**
+ * Time a member out (no messages, reactions or polls)
+ */
+export const timeoutMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params; // conversationId, targetUserId
+  const actorId = req.user.userId;
+
+  const result = await groupService.timeoutMember(
+    id,
+    actorId,
+    userId,
+    req.body.duration
+  );
+
+  req.app.get("io").broadcastToConversation(id, "group:member-timed-out", {
+    conversationId: id,
+    userId,
+    timedOutUntil: result.timedOutUntil,
+    timedOutBy: actorId,
+  });
+
+  res.json(successResponse(result, "Member timed out"));
+});
+
+/**
+ * Lift a member's timeout early
+ */
+export const removeTimeout = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params; // conversationId, targetUserId
+  const actorId = req.user.userId;
+
+  const result = await groupService.removeTimeout(id, actorId, userId);
+
+  req.app
+    .get("io")
+    .broadcastToConversation(id, "group:member-timeout-removed", {
+      conversationId: id,
+      userId,
+      removedBy: actorId,
+    });
+
+  res.json(successResponse(result, "Timeout removed"));
+});
+
+/**
+ * Turn slow mode on or off
+ */
+export const setSlowMode = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const result = await groupService.setSlowMode(id, userId, req.body.seconds);
+
+  req.app.get("io").broadcastToConversation(id, "group:slow-mode-updated", {
+    conversationId: id,
+    slowModeSeconds: result.slowModeSeconds,
+    updatedBy: userId,
+  });
+
+  res.json(successResponse(result, result.message));
+});
+
+// ========== 🎭 CUSTOM ROLES ==========
+
+/**
+ * Let members know the group's custom roles changed
+ */
+const broadcastRoles = async (req, conversationId, userId) => {
+  const roles = await groupService.getRoles(conversationId, userId);
+
+  req.app
+    .get("io")
+    .broadcastToConversation(conversationId, "group:roles-updated", {
+      conversationId,
+      roles,
+      updatedBy: userId,
+    });
+};
+
+/**
+ * List the group's custom roles
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const roles = await groupService.getRoles(id, userId);
+
+  res.json(successResponse(roles, "Roles retrieved"));
+});
+
+/**
+ * Create a custom role
+ */
+export const createRole = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+
+  const role = await groupService.createRole(id, userId, req.body);
+  await broadcastRoles(req, id, userId);
+
+  res.status(201).json(successResponse(role, "Role created", 201));
+});
+
+/**
+ * Rename a custom role or change its permissions
+ */
+export const updateRole = asyncHandler(async (req, res) => {
+  const { id, roleId } = req.params; // conversationId, roleId
+  const userId = req.user.userId;
+
+  const role = await groupService.updateRole(id, userId, roleId, req.body);
+  await broadcastRoles(req, id, userId);
+
+  res.json(successResponse(role, "Role updated"));
+});
+
+/**
+ * Delete a custom role
+ */
+export const deleteRole = asyncHandler(async (req, res) => {
+  const { id, roleId } = req.params; // conversationId, roleId
+  const userId = req.user.userId;
+
+  const result = await groupService.deleteRole(id, userId, roleId);
+  await broadcastRoles(req, id, userId);
+
+  res.json(successResponse(result, "Role deleted"));
+});
+
+// ========== 📜 AUDIT LOG ==========
+
+/**
+ * Group audit log (admins only)
+ * ?action=member_removed,role_assigned&actor=&target=&from=&to=&before=&limit=
+ */
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { id } = req.params; // conversationId
+  const userId = req.user.userId;
+  const { action, actor, target, from, to, before, limit } = req.query;
+
+  const result = await groupService.getAuditLog(id, userId, {
+    action,
+    actor,
+    target,
+    from,
+    to,
+    before,
+    limit: parseInt(limit) || undefined,
+  });
+
+  res.json(successResponse(result, "Audit log retrieved"));
+});
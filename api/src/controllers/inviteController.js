@@ -0,0 +1,63 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { groupService } from "../services/group.service.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { successResponse } from "../utils/response.js";
+
+/**
+ * Preview the group behind an invite code (public)
+ */
+export const getInvitePreview = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  const preview = await groupService.getInvitePreview(code);
+
+  res.json(successResponse(preview, "Invite retrieved"));
+});
+
+/**
+ * Join a group through an invite code
+ */
+export const joinViaInvite = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const userId = req.user.userId;
+
+  const { status, conversation } = await groupService.joinViaInvite(
+    code,
+    userId
+  );
+  const conversationId = conversation._id.toString();
+
+  if (status === "pending") {
+    // Let everyone who can approve it know there is a request waiting
+    const adminIds = groupService.getJoinRequestApprovers(conversation);
+
+    for (const adminId of adminIds) {
+      await connectionManager.emitToUser(adminId, "group:join_request", {
+        conversationId,
+        userId,
+      });
+    }
+
+    return res
+      .status(202)
+      .json(
+        successResponse(
+          { status, conversationId },
+          "Join request sent to the group admins",
+          202
+        )
+      );
+  }
+
+  req.app
+    .get("io")
+    .broadcastToConversation(conversationId, "group:member_joined", {
+      conversationId,
+      userId,
+      via: "invite",
+    });
+
+  res.json(
+    successResponse({ status, conversation }, "Joined group successfully")
+  );
+});
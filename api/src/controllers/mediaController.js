@@ -3,6 +3,22 @@ import { mediaService } from "../services/media.service.js";
 import { messageService } from "../services/message.service.js";
 import { successResponse } from "../utils/response.js";
 
+/**
+ * Post the uploaded file as a message, removing the upload again if the
+ * message is refused (announcement-only group, timeout, slow mode)
+ */
+const createMediaMessage = async (fields) => {
+  try {
+    return await messageService.createMessage(fields);
+  } catch (error) {
+    await mediaService.deleteMedia(
+      fields.media.publicId,
+      mediaService.getResourceType(fields.media.mimeType)
+    );
+    throw error;
+  }
+};
+
 /**
  * Upload chat image
  */
@@ -17,7 +33,7 @@ export const uploadImage = asyncHandler(async (req, res) => {
   const mediaData = await mediaService.processImage(req.file);
 
   // Create message with image
-  const message = await messageService.createMessage({
+  const message = await createMediaMessage({
     senderId: userId,
     conversationId,
     type: "image",
@@ -45,7 +61,7 @@ export const uploadVideo = asyncHandler(async (req, res) => {
   const mediaData = await mediaService.processVideo(req.file);
 
   // Create message with video
-  const message = await messageService.createMessage({
+  const message = await createMediaMessage({
     senderId: userId,
     conversationId,
     type: "video",
@@ -74,7 +90,7 @@ export const uploadAudio = asyncHandler(async (req, res) => {
   const mediaData = await mediaService.processAudio(req.file);
 
   // Create message with audio
-  const message = await messageService.createMessage({
+  const message = await createMediaMessage({
     senderId: userId,
     conversationId,
     type: "audio",
@@ -103,7 +119,7 @@ export const uploadDocument = asyncHandler(async (req, res) => {
   const mediaData = await mediaService.processDocument(req.file);
 
   // Create message with document
-  const message = await messageService.createMessage({
+  const message = await createMediaMessage({
     senderId: userId,
     conversationId,
     type: "file",
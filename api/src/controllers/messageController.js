@@ -1,5 +1,8 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { messageService } from "../services/message.service.js";
+import { pollService } from "../services/poll.service.js";
+import { SendMessageCommand } from "../sockets/commands/SendMessageCommand.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
 import { successResponse } from "../utils/response.js";
 
 /**
@@ -43,6 +46,58 @@ export const getMessagesPaginated = asyncHandler(async (req, res) => {
   res.json(successResponse(result, "Messages retrieved successfully"));
 });
 
+/**
+ * Search messages across the user's conversations
+ */
+export const searchMessages = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { q, conversationId, senderId, type, from, to, before, limit } =
+    req.query;
+
+  const result = await messageService.searchMessages(userId, q, {
+    conversationId,
+    senderId,
+    type,
+    from,
+    to,
+    before,
+    limit,
+  });
+
+  res.json(successResponse(result, "Search results retrieved"));
+});
+
+/**
+ * Get the user's starred messages grouped by conversation
+ */
+export const getStarredMessages = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { before, limit } = req.query;
+
+  const result = await messageService.getStarredMessages(userId, {
+    before,
+    limit: parseInt(limit) || 50,
+  });
+
+  res.json(successResponse(result, "Starred messages retrieved"));
+});
+
+/**
+ * Get messages that mention the user
+ */
+export const getMentions = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { conversationId, before, limit } = req.query;
+
+  const result = await messageService.getMentions(userId, {
+    conversationId,
+    before,
+    limit: parseInt(limit) || 20,
+  });
+
+  res.json(successResponse(result, "Mentions retrieved"));
+});
+
 /**
  * Get single message by ID
  */
@@ -55,6 +110,126 @@ export const getMessage = asyncHandler(async (req, res) => {
   res.json(successResponse(message, "Message retrieved successfully"));
 });
 
+/**
+ * Get replies in a message thread
+ */
+export const getThread = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+  const { before, limit } = req.query;
+
+  const result = await messageService.getThreadMessages(messageId, userId, {
+    before,
+    limit: Math.min(parseInt(limit) || 50, 100),
+  });
+
+  res.json(successResponse(result, "Thread retrieved successfully"));
+});
+
+/**
+ * Mark a thread as read
+ */
+export const markThreadAsRead = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await messageService.markThreadAsRead(messageId, userId);
+
+  res.json(successResponse(result, "Thread marked as read"));
+});
+
+/**
+ * List voters per option for a non-anonymous poll
+ */
+export const getPollVoters = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await pollService.getVoters(messageId, userId);
+
+  res.json(successResponse(result, "Poll voters retrieved"));
+});
+
+/**
+ * Forward a message to one or more conversations
+ */
+export const forwardMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { conversationIds } = req.body;
+  const userId = req.user.userId;
+
+  const results = await messageService.forwardMessage(
+    messageId,
+    userId,
+    conversationIds
+  );
+
+  // Fan out like a live message:send
+  const sendMessageCommand = new SendMessageCommand(
+    req.app.get("io"),
+    connectionManager
+  );
+  for (const { conversation, message } of results) {
+    await sendMessageCommand.broadcast(conversation, message, userId);
+  }
+
+  res.json(
+    successResponse(
+      results.map(({ message }) => message),
+      "Message forwarded successfully"
+    )
+  );
+});
+
+/**
+ * Star a message
+ */
+export const starMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  const message = await messageService.starMessage(messageId, userId);
+  const payload = {
+    messageId: message._id,
+    conversationId: message.conversationId,
+  };
+
+  // Keep the user's other devices in sync
+  await connectionManager.emitToUser(userId, "message:starred", payload);
+
+  res.json(successResponse(payload, "Message starred"));
+});
+
+/**
+ * Remove star from a message
+ */
+export const unstarMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  const message = await messageService.unstarMessage(messageId, userId);
+  const payload = {
+    messageId: message._id,
+    conversationId: message.conversationId,
+  };
+
+  await connectionManager.emitToUser(userId, "message:unstarred", payload);
+
+  res.json(successResponse(payload, "Message unstarred"));
+});
+
+/**
+ * Get the edit history of a message
+ */
+export const getMessageRevisions = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  const result = await messageService.getMessageRevisions(messageId, userId);
+
+  res.json(successResponse(result, "Message revisions retrieved"));
+});
+
 /**
  * Edit message
  */
@@ -1,4 +1,6 @@
 import { profileService } from "../services/profile.service.js";
+import { sessionService } from "../services/session.service.js";
+import { twoFactorService } from "../services/twoFactor.service.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { successResponse } from "../utils/response.js";
 
@@ -58,3 +60,66 @@ export const updatePrivacySettings = asyncHandler(async (req, res) => {
   );
   res.json(successResponse(privacy, "Privacy settings updated"));
 });
+
+// ========== 📱 SESSIONS ==========
+
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getSessions(
+    req.user.userId,
+    req.user.sessionId
+  );
+  res.json(successResponse(sessions, "Sessions retrieved successfully"));
+});
+
+export const revokeSession = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeUserSession(
+    req.user.userId,
+    req.params.sessionId
+  );
+  res.json(successResponse(result, "Session logged out"));
+});
+
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOtherSessions(
+    req.user.userId,
+    req.user.sessionId
+  );
+  res.json(successResponse(result, "Logged out of all other devices"));
+});
+
+// ========== 🔑 TWO-FACTOR AUTHENTICATION ==========
+
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user.userId);
+  res.json(successResponse(status, "Two-factor status retrieved"));
+});
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.setup(req.user.userId);
+  res.json(
+    successResponse(result, "Scan the code, then confirm with a first code")
+  );
+});
+
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.confirm(req.user.userId, req.body.code);
+  res.json(successResponse(result, "Two-factor authentication enabled"));
+});
+
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.regenerateBackupCodes(
+    req.user.userId,
+    req.body.code
+  );
+  res.json(successResponse(result, "Backup codes regenerated"));
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const result = await twoFactorService.disable(
+    req.user.userId,
+    password,
+    code
+  );
+  res.json(successResponse(result, "Two-factor authentication disabled"));
+});
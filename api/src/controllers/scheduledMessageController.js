@@ -0,0 +1,69 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { scheduledMessageService } from "../services/scheduledMessage.service.js";
+import { successResponse } from "../utils/response.js";
+
+/**
+ * Schedule a message in a conversation
+ */
+export const scheduleMessage = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+  const senderId = req.user.userId;
+
+  const scheduled = await scheduledMessageService.scheduleMessage({
+    ...req.body,
+    conversationId,
+    senderId,
+  });
+
+  res
+    .status(201)
+    .json(successResponse(scheduled, "Message scheduled successfully", 201));
+});
+
+/**
+ * List the user's scheduled messages in a conversation
+ */
+export const getScheduledMessages = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+  const userId = req.user.userId;
+  const { status } = req.query;
+
+  const scheduled = await scheduledMessageService.getScheduledMessages(
+    conversationId,
+    userId,
+    { status }
+  );
+
+  res.json(successResponse(scheduled, "Scheduled messages retrieved"));
+});
+
+/**
+ * Edit a pending scheduled message
+ */
+export const updateScheduledMessage = asyncHandler(async (req, res) => {
+  const { scheduledMessageId } = req.params;
+  const userId = req.user.userId;
+
+  const scheduled = await scheduledMessageService.updateScheduledMessage(
+    scheduledMessageId,
+    userId,
+    req.body
+  );
+
+  res.json(successResponse(scheduled, "Scheduled message updated"));
+});
+
+/**
+ * Cancel a pending scheduled message
+ */
+export const cancelScheduledMessage = asyncHandler(async (req, res) => {
+  const { scheduledMessageId } = req.params;
+  const userId = req.user.userId;
+
+  const scheduled = await scheduledMessageService.cancelScheduledMessage(
+    scheduledMessageId,
+    userId
+  );
+
+  res.json(successResponse(scheduled, "Scheduled message cancelled"));
+});
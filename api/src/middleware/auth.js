@@ -1,6 +1,7 @@
 import { verifyAccessToken as verifyToken } from "../config/jwt.js";
+import { sessionService } from "../services/session.service.js";
 
-export const verifyAccessToken = (req, res, next) => {
+export const verifyAccessToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     console.log("🚀 ~ verifyAccessToken ~ token:", token)
@@ -11,6 +12,16 @@ export const verifyAccessToken = (req, res, next) => {
 
     const decoded = verifyToken(token);
     console.log("🚀 ~ verifyAccessToken ~ decoded:", decoded)
+
+    // Revoked sessions lose access before their access token expires
+    const { sessionId } = decoded;
+    if (sessionId && !(await sessionService.isActive(sessionId))) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'This session has been logged out. Please login again.'
+      });
+    }
+
     req.user = decoded;
     console.log("🚀 ~ verifyAccessToken ~ req.user:", req.user)
     next();
@@ -45,15 +45,20 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError("Token expired", 401);
   }
 
-  res
-    .status(error.statusCode || 500)
-    .json(
-      errorResponse(
-        error.message || "Internal Server Error",
-        process.env.NODE_ENV === "development" ? { stack: err.stack } : null,
-        error.statusCode || 500
-      )
-    );
+  // Temporary restrictions (timeouts, slow mode) say when to try again
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  res.status(error.statusCode || 500).json({
+    ...errorResponse(
+      error.message || "Internal Server Error",
+      process.env.NODE_ENV === "development" ? { stack: err.stack } : null,
+      error.statusCode || 500,
+      typeof error.code === "string" ? error.code : null
+    ),
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+  });
 };
 
 /**
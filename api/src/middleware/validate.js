@@ -17,7 +17,13 @@ export const validate = (schema, property = "body") => {
     }
 
     // Replace request data with validated/sanitized data
-    req[property] = value;
+    // (Express 5 only exposes req.query through a getter)
+    Object.defineProperty(req, property, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
     next();
   };
 };
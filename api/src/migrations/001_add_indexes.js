@@ -43,17 +43,24 @@ export async function addIndexes() {
     );
     console.log("  ✅ message_status_idx");
 
-    // Index for ephemeral messages (TTL index)
+    // Index for disappearing messages (TTL backstop behind the sweeper)
     await Message.collection.createIndex(
       { expiresAt: 1 },
       {
         name: "expires_at_ttl_idx",
-        expireAfterSeconds: 0,
+        expireAfterSeconds: 24 * 60 * 60,
         background: true,
       }
     );
     console.log("  ✅ expires_at_ttl_idx (TTL index)");
 
+    // Full-text index for message search (string content only)
+    await Message.collection.createIndex(
+      { content: "text" },
+      { name: "message_content_text_idx", background: true }
+    );
+    console.log("  ✅ message_content_text_idx");
+
     // ==================== CONVERSATION INDEXES ====================
     console.log("\n💬 Creating Conversation indexes...");
 
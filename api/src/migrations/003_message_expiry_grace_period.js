@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+/**
+ * Message Expiry Grace Period Migration
+ * The expiresAt TTL index used to delete disappearing messages the moment
+ * they expired, before the expiry sweeper could remove their Cloudinary
+ * uploads. It now only cleans up after 24 hours (see models/Message.js).
+ * Existing indexes keep their old expireAfterSeconds until this runs.
+ */
+
+const EXPIRED_MESSAGE_GRACE_SECONDS = 24 * 60 * 60;
+
+export async function setExpiryGracePeriod(
+  expireAfterSeconds = EXPIRED_MESSAGE_GRACE_SECONDS
+) {
+  console.log("🚀 Updating message expiry TTL index...\n");
+
+  try {
+    const db = mongoose.connection.db;
+
+    const result = await db.command({
+      collMod: "messages",
+      index: { keyPattern: { expiresAt: 1 }, expireAfterSeconds },
+    });
+
+    console.log(
+      `  ✅ expiresAt TTL: ${result.expireAfterSeconds_old ?? "?"}s → ${
+        result.expireAfterSeconds_new ?? expireAfterSeconds
+      }s`
+    );
+    return true;
+  } catch (error) {
+    console.error("❌ Error updating TTL index:", error);
+    throw error;
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await import("dotenv/config");
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // `rollback` restores immediate deletion
+  await setExpiryGracePeriod(
+    process.argv[2] === "rollback" ? 0 : EXPIRED_MESSAGE_GRACE_SECONDS
+  );
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+/**
+ * Participant Roles Migration
+ * Group admins used to live in a separate Conversation.admins array that
+ * could drift from participants[].role. Roles are now the only source of
+ * truth (see models/Conversation.js), so this copies the array onto the
+ * participants and drops it:
+ *  - group.createdBy (or the conversation creator) becomes "owner"
+ *  - everyone else in admins becomes "admin"
+ *  - stale "admin"/"owner" roles not backed by the array become "member"
+ */
+
+export async function migrateParticipantRoles() {
+  console.log("🚀 Moving group admins onto participant roles...\n");
+
+  try {
+    const conversations = mongoose.connection.db.collection("conversations");
+
+    const groups = conversations.find(
+      { type: "group", admins: { $exists: true } },
+      { projection: { admins: 1, participants: 1, group: 1, createdBy: 1 } }
+    );
+
+    let migrated = 0;
+
+    for await (const group of groups) {
+      const ownerId = (group.group?.createdBy || group.createdBy)?.toString();
+      const adminIds = new Set((group.admins || []).map((id) => id.toString()));
+
+      const $set = {};
+      (group.participants || []).forEach((participant, index) => {
+        const userId = participant.user.toString();
+        let role = "member";
+        if (userId === ownerId) role = "owner";
+        else if (adminIds.has(userId)) role = "admin";
+
+        if (participant.role !== role) {
+          $set[`participants.${index}.role`] = role;
+        }
+      });
+
+      // Groups created without an owner get their creator back
+      if (!group.group?.createdBy && ownerId) {
+        $set["group.createdBy"] = new mongoose.Types.ObjectId(ownerId);
+      }
+
+      await conversations.updateOne(
+        { _id: group._id },
+        Object.keys($set).length
+          ? { $set, $unset: { admins: "" } }
+          : { $unset: { admins: "" } }
+      );
+      migrated++;
+    }
+
+    console.log(`  ✅ Migrated roles in ${migrated} groups`);
+    return true;
+  } catch (error) {
+    console.error("❌ Error migrating participant roles:", error);
+    throw error;
+  }
+}
+
+export async function rollbackParticipantRoles() {
+  console.log("🗑️  Restoring Conversation.admins from participant roles...\n");
+
+  try {
+    const conversations = mongoose.connection.db.collection("conversations");
+
+    // The old schema has no moderator role
+    await conversations.updateMany(
+      { type: "group", "participants.role": "moderator" },
+      { $set: { "participants.$[m].role": "member" } },
+      { arrayFilters: [{ "m.role": "moderator" }] }
+    );
+
+    const result = await conversations.updateMany(
+      { type: "group", admins: { $exists: false } },
+      [
+        {
+          $set: {
+            admins: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: "$participants",
+                    cond: { $in: ["$$this.role", ["admin", "owner"]] },
+                  },
+                },
+                in: "$$this.user",
+              },
+            },
+          },
+        },
+      ]
+    );
+
+    console.log(`  ✅ Restored admins in ${result.modifiedCount} groups`);
+    return true;
+  } catch (error) {
+    console.error("❌ Error restoring admins:", error);
+    throw error;
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await import("dotenv/config");
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (process.argv[2] === "rollback") {
+    await rollbackParticipantRoles();
+  } else {
+    await migrateParticipantRoles();
+  }
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+/**
+ * Grandfather Email Verification Migration
+ * Unverified accounts are now restricted (see
+ * services/emailVerification.service.js), but accounts created before
+ * verification links were sent never had a chance to verify. This marks
+ * them verified: every account that is unverified and has never been
+ * issued a verification link. Accounts waiting on a link keep it.
+ */
+
+export async function grandfatherEmailVerification() {
+  console.log("🚀 Marking existing accounts as verified...\n");
+
+  try {
+    const users = mongoose.connection.db.collection("users");
+
+    const result = await users.updateMany(
+      {
+        emailVerified: { $ne: true },
+        emailVerificationToken: { $in: [null, ""] },
+      },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`  ✅ Verified ${result.modifiedCount} existing accounts`);
+    return true;
+  } catch (error) {
+    console.error("❌ Error grandfathering email verification:", error);
+    throw error;
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await import("dotenv/config");
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await grandfatherEmailVerification();
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
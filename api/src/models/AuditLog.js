@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Administrative actions recorded for groups
+const AUDIT_ACTIONS = [
+  "member_added",
+  "member_removed",
+  "member_left",
+  "member_joined", // Through an invite link
+  "member_timed_out",
+  "member_timeout_removed",
+  "role_assigned",
+  "role_created",
+  "role_updated",
+  "role_deleted",
+  "ownership_transferred",
+  "info_updated",
+  "permissions_updated",
+  "slow_mode_updated",
+  "settings_updated",
+  "invite_created",
+  "invite_rotated",
+  "invite_revoked",
+  "join_requested",
+  "join_request_approved",
+  "join_request_rejected",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // 💬 Group the action happened in
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+
+    // 👤 Who did it
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ⚙️ What they did
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+
+    // 🎯 Member it was done to (null for group-wide changes)
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // 🔁 Values before and after the change
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// ============ INDEXES ============
+auditLogSchema.index({ conversationId: 1, _id: -1 });
+auditLogSchema.index({ conversationId: 1, action: 1, _id: -1 });
+
+// ============ INSTANCE METHODS ============
+
+/**
+ * Clean output for API
+ */
+auditLogSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model("AuditLog", auditLogSchema);
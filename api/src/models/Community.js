@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const communitySchema = new mongoose.Schema(
+  {
+    // 🏘 Profile
+    name: { type: String, trim: true, maxlength: 100, required: true },
+    description: { type: String, trim: true, maxlength: 500, default: "" },
+    avatar: {
+      url: { type: String, default: null },
+      publicId: { type: String, default: null },
+    },
+
+    // 🚪 Public communities can be joined by anyone; private ones only
+    // through their admins
+    isPublic: { type: Boolean, default: false },
+
+    // 👥 Members (admins moderate every group in the community)
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["member", "admin", "owner"],
+          default: "member",
+        },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // 📢 Announcement-only group every member is in
+    announcementChannel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+
+    // 🧩 Groups that belong to this community
+    groups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation",
+      },
+    ],
+
+    // 🧠 System Fields
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isDeleted: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ============ INDEXES ============
+communitySchema.index({ "members.user": 1, isDeleted: 1 });
+
+// ============ INSTANCE METHODS ============
+
+// Get member by userId
+communitySchema.methods.getMember = function (userId) {
+  return this.members.find((m) => m.user.toString() === userId.toString());
+};
+
+// Check if user is a member
+communitySchema.methods.isMember = function (userId) {
+  return Boolean(this.getMember(userId));
+};
+
+// Check if user is a community admin (owner included)
+communitySchema.methods.isAdmin = function (userId) {
+  return ["admin", "owner"].includes(this.getMember(userId)?.role);
+};
+
+// Check if user owns the community
+communitySchema.methods.isOwner = function (userId) {
+  return this.getMember(userId)?.role === "owner";
+};
+
+// IDs of everyone who moderates the community's groups
+communitySchema.methods.getAdminIds = function () {
+  return this.members
+    .filter((m) => m.role === "admin" || m.role === "owner")
+    .map((m) => m.user);
+};
+
+// Check if a conversation belongs to the community
+communitySchema.methods.hasGroup = function (conversationId) {
+  return (
+    this.announcementChannel?.toString() === conversationId.toString() ||
+    this.groups.some((id) => id.toString() === conversationId.toString())
+  );
+};
+
+export default mongoose.model("Community", communitySchema);
@@ -1,5 +1,46 @@
 import mongoose from "mongoose";
 
+const DEFAULT_MAX_PINNED_MESSAGES = 3;
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const MIN_MESSAGE_TTL_SECONDS = 60; // 1 minute
+const MAX_MESSAGE_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60; // 6 hours
+const PERMISSION_LEVELS = ["everyone", "admins", "owner"];
+const MEMBER_ROLES = ["member", "moderator", "admin", "owner"];
+
+// Everything a role can be allowed to do in a group
+const GROUP_CAPABILITIES = [
+  "sendMessages",
+  "createPolls",
+  "editInfo",
+  "addMembers",
+  "pinMessages",
+  "removeMembers",
+  "deleteMessages", // Delete other people's messages
+  "muteMembers",
+  "manageInvites", // Invite links and join requests
+];
+
+// Built-in roles (owner and admin can do everything)
+const ROLE_CAPABILITIES = {
+  moderator: ["deleteMessages", "muteMembers"],
+  member: [],
+};
+
+// What community admins may do in every group of their community
+const COMMUNITY_ADMIN_CAPABILITIES = [
+  "deleteMessages",
+  "muteMembers",
+  "removeMembers",
+];
+
+// Who may perform a group action
+const permissionLevel = (defaultLevel) => ({
+  type: String,
+  enum: PERMISSION_LEVELS,
+  default: defaultLevel,
+});
+
 const conversationSchema = new mongoose.Schema(
   {
     // 🗂 Type of chat: direct (1:1) or group
@@ -20,11 +61,22 @@ const conversationSchema = new mongoose.Schema(
         joinedAt: { type: Date, default: Date.now },
         role: {
           type: String,
-          enum: ["member", "admin", "owner"],
+          enum: MEMBER_ROLES,
           default: "member",
         },
+        // One of this group's custom roles, on top of the built-in one
+        customRole: { type: mongoose.Schema.Types.ObjectId, default: null },
+        // Timed out by a moderator (enforced through Redis, see groupService)
+        timedOutUntil: { type: Date, default: null },
+        // 🔕 Per-user chat organisation (only ever shown to that user)
         isMuted: { type: Boolean, default: false },
-        pinned: { type: Boolean, default: false },
+        mutedUntil: { type: Date, default: null }, // null while muted = forever
+        isArchived: { type: Boolean, default: false },
+        archivedAt: { type: Date, default: null },
+        // IDs from the user's own User.chatFolders
+        folders: [{ type: mongoose.Schema.Types.ObjectId }],
+        pinned: { type: Boolean, default: false }, // Pinned to the inbox top
+        pinnedAt: { type: Date, default: null },
         lastReadMessage: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Message",
@@ -33,11 +85,13 @@ const conversationSchema = new mongoose.Schema(
       },
     ],
 
-    // 👑 For groups — who manages
-    admins: [
+    // 🎭 Custom roles admins define for this group
+    roles: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        name: { type: String, trim: true, maxlength: 30, required: true },
+        permissions: [{ type: String, enum: GROUP_CAPABILITIES }],
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: Date.now },
       },
     ],
 
@@ -53,10 +107,63 @@ const conversationSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
-      inviteLink: { type: String, default: null },
+      inviteLink: { type: String, default: null }, // Invite code
+      invite: {
+        expiresAt: { type: Date, default: null },
+        maxUses: { type: Number, default: null, min: 1 },
+        uses: { type: Number, default: 0 },
+        requiresApproval: { type: Boolean, default: false },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: null },
+      },
       isArchived: { type: Boolean, default: false },
     },
 
+    // 🏘 Community this group belongs to
+    community: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    // Copied from Community.members so permission checks stay synchronous;
+    // communityService keeps it in sync
+    communityAdmins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    // 📢 Broadcast lists — recipients are not participants, so the list
+    // never shows up in their inbox
+    broadcast: {
+      name: { type: String, trim: true, maxlength: 100, default: null },
+      recipients: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+    },
+
+    // 🚪 Pending requests to join through the invite link or the community
+    joinRequests: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        via: {
+          type: String,
+          enum: ["invite", "community"],
+          default: "invite",
+        },
+        requestedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // 💬 Message summary
     lastMessage: {
       type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +175,19 @@ const conversationSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // 📌 Messages pinned inside the chat (oldest first)
+    pinnedMessages: [
+      {
+        message: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+          required: true,
+        },
+        pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        pinnedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // 🔕 Per-user unread message counts
     unreadCount: {
       type: Map,
@@ -75,11 +195,52 @@ const conversationSchema = new mongoose.Schema(
       default: {},
     },
 
+    // 📣 Unread mentions per participant (drives the "@" badge)
+    mentionCount: {
+      type: Map,
+      of: Number, // key: userId, value: count
+      default: {},
+    },
+
     // 📦 Chat Settings
     settings: {
       isEphemeral: { type: Boolean, default: false }, // like disappearing messages
-      messageTTL: { type: Number, default: null }, // time to live in seconds
+      messageTTL: {
+        type: Number,
+        default: null,
+        min: MIN_MESSAGE_TTL_SECONDS,
+        max: MAX_MESSAGE_TTL_SECONDS,
+      }, // time to live in seconds
       allowReplies: { type: Boolean, default: true },
+      maxPinnedMessages: {
+        type: Number,
+        default: DEFAULT_MAX_PINNED_MESSAGES,
+        min: 1,
+        max: 50,
+      },
+      // How long senders may edit a message after sending it
+      editWindowMinutes: {
+        type: Number,
+        default: DEFAULT_EDIT_WINDOW_MINUTES,
+        min: 0,
+        max: 7 * 24 * 60, // 1 week
+      },
+      // 🐢 Slow mode: each member may send one message per interval
+      slowModeSeconds: {
+        type: Number,
+        default: 0, // Off
+        min: 0,
+        max: MAX_SLOW_MODE_SECONDS,
+      },
+      // 🔐 Group permissions (announcement-only: sendMessages = "admins")
+      // "admins" also lets in moderators/custom roles granted the action
+      permissions: {
+        sendMessages: permissionLevel("everyone"),
+        editInfo: permissionLevel("admins"),
+        addMembers: permissionLevel("admins"),
+        pinMessages: permissionLevel("admins"),
+        createPolls: permissionLevel("everyone"),
+      },
     },
 
     // 🔒 Privacy
@@ -107,6 +268,7 @@ const conversationSchema = new mongoose.Schema(
 //
 conversationSchema.virtual("displayName").get(function () {
   if (this.type === "direct") return "Direct Chat";
+  if (this.type === "broadcast") return this.broadcast?.name || "Broadcast";
   return this.group?.name || "Unnamed Group";
 });
 
@@ -129,6 +291,14 @@ conversationSchema.index({ type: 1 });
 conversationSchema.index({ "group.name": "text" });
 conversationSchema.index({ createdBy: 1 });
 conversationSchema.index({ "participants.user": 1, type: 1 });
+conversationSchema.index({ community: 1 });
+conversationSchema.index(
+  { "group.inviteLink": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "group.inviteLink": { $type: "string" } },
+  }
+);
 
 //
 // 🚀 Utility Methods
@@ -145,11 +315,32 @@ conversationSchema.methods.resetUnread = function (userId) {
   this.unreadCount.set(userId.toString(), 0);
 };
 
+// Reset mention count for a participant
+conversationSchema.methods.resetMentions = function (userId) {
+  this.mentionCount.set(userId.toString(), 0);
+};
+
+// Check if the invite link can still be redeemed
+conversationSchema.methods.isInviteActive = function () {
+  const code = this.group?.inviteLink;
+  const invite = this.group?.invite;
+
+  if (!code || this.isDeleted) return false;
+  if (invite?.expiresAt && invite.expiresAt.getTime() <= Date.now()) {
+    return false;
+  }
+  if (invite?.maxUses && invite.uses >= invite.maxUses) return false;
+  return true;
+};
+
+// Check if user already asked to join
+conversationSchema.methods.hasJoinRequest = function (userId) {
+  return this.joinRequests.some((r) => r.user.toString() === userId.toString());
+};
+
 // Check if a user is admin
 conversationSchema.methods.isAdmin = function (userId) {
-  return this.admins?.some(
-    (adminId) => adminId.toString() === userId.toString()
-  );
+  return this.getParticipant(userId)?.role === "admin";
 };
 
 // Add new participant (for group)
@@ -171,6 +362,15 @@ conversationSchema.methods.isParticipant = function (userId) {
   return this.participants.some((p) => p.user.toString() === userId.toString());
 };
 
+// Check if a participant's mute is active (timed mutes lapse on their own)
+conversationSchema.methods.isMutedFor = function (userId) {
+  const participant = this.getParticipant(userId);
+  if (!participant?.isMuted) return false;
+  return (
+    !participant.mutedUntil || participant.mutedUntil.getTime() > Date.now()
+  );
+};
+
 // Check if user is owner (creator of group)
 conversationSchema.methods.isOwner = function (userId) {
   return this.group?.createdBy?.toString() === userId.toString();
@@ -189,24 +389,17 @@ conversationSchema.methods.updateParticipantRole = function (userId, newRole) {
   }
 };
 
-// Promote to admin
-conversationSchema.methods.promoteToAdmin = function (userId) {
-  // Add to admins array if not already there
-  if (!this.isAdmin(userId)) {
-    this.admins.push(userId);
-  }
-  // Update participant role
-  this.updateParticipantRole(userId, "admin");
+// Check if a user administers the community this group belongs to
+conversationSchema.methods.isCommunityAdmin = function (userId) {
+  return (
+    Boolean(this.community) &&
+    this.communityAdmins.some((id) => id.toString() === userId.toString())
+  );
 };
 
-// Demote from admin
-conversationSchema.methods.demoteFromAdmin = function (userId) {
-  // Remove from admins array
-  this.admins = this.admins.filter(
-    (adminId) => adminId.toString() !== userId.toString()
-  );
-  // Update participant role
-  this.updateParticipantRole(userId, "member");
+// Get a custom role by id
+conversationSchema.methods.getRole = function (roleId) {
+  return this.roles?.find((r) => r._id.toString() === roleId.toString());
 };
 
 // Check if user has admin privileges (admin or owner)
@@ -214,6 +407,73 @@ conversationSchema.methods.hasAdminPrivileges = function (userId) {
   return this.isOwner(userId) || this.isAdmin(userId);
 };
 
+// Check a group permission; outside groups every participant may act
+conversationSchema.methods.hasPermission = function (userId, permission) {
+  if (this.type !== "group") return this.isParticipant(userId);
+
+  switch (this.settings?.permissions?.[permission]) {
+    case "everyone":
+      return this.isParticipant(userId);
+    case "owner":
+      return this.isOwner(userId);
+    default:
+      return this.can(userId, permission);
+  }
+};
+
+// Check if a member's role (built-in or custom) grants a capability
+conversationSchema.methods.can = function (userId, capability) {
+  if (this.hasAdminPrivileges(userId)) return true;
+
+  if (
+    COMMUNITY_ADMIN_CAPABILITIES.includes(capability) &&
+    this.isCommunityAdmin(userId)
+  ) {
+    return true;
+  }
+
+  const participant = this.getParticipant(userId);
+  if (!participant) return false;
+
+  if (ROLE_CAPABILITIES[participant.role]?.includes(capability)) return true;
+
+  const customRole = participant.customRole
+    ? this.getRole(participant.customRole)
+    : null;
+  return Boolean(customRole?.permissions.includes(capability));
+};
+
+// Expiry for a message sent now (null when disappearing messages are off)
+conversationSchema.methods.getMessageExpiry = function (sentAt = Date.now()) {
+  if (!this.settings?.isEphemeral || !this.settings.messageTTL) return null;
+  return new Date(new Date(sentAt).getTime() + this.settings.messageTTL * 1000);
+};
+
+// Check if a message is pinned
+conversationSchema.methods.isPinned = function (messageId) {
+  return this.pinnedMessages.some(
+    (p) => p.message.toString() === messageId.toString()
+  );
+};
+
+// Pin a message
+conversationSchema.methods.pinMessage = function (messageId, userId) {
+  if (!this.isPinned(messageId)) {
+    this.pinnedMessages.push({
+      message: messageId,
+      pinnedBy: userId,
+      pinnedAt: Date.now(),
+    });
+  }
+};
+
+// Unpin a message
+conversationSchema.methods.unpinMessage = function (messageId) {
+  this.pinnedMessages = this.pinnedMessages.filter(
+    (p) => p.message.toString() !== messageId.toString()
+  );
+};
+
 // Update group info (name, description, avatar)
 conversationSchema.methods.updateGroupInfo = function (updates) {
   if (updates.name !== undefined) {
@@ -1,5 +1,35 @@
 import mongoose from "mongoose";
 
+const MAX_REVISIONS = 20;
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+// The expiry sweeper deletes disappearing messages (and their uploads) on
+// time; the TTL index only catches leftovers if the sweeper is down
+const EXPIRED_MESSAGE_GRACE_SECONDS = 24 * 60 * 60;
+
+// 📊 Poll option (keeps its own _id so votes can reference it)
+const pollOptionSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 100 },
+  voters: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+});
+
+// 📊 Poll attached to a "poll" message
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true, trim: true, maxlength: 300 },
+    options: [pollOptionSchema],
+    allowMultiple: { type: Boolean, default: false },
+    isAnonymous: { type: Boolean, default: false },
+    closesAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     // 🧩 Unique client-generated ID for deduplication
@@ -33,6 +63,25 @@ const messageSchema = new mongoose.Schema(
       default: null,
     },
 
+    // 🧵 Thread this message replies in (null for top-level messages)
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    // 🧵 Thread summary (only populated on thread roots)
+    thread: {
+      replyCount: { type: Number, default: 0 },
+      lastReplyAt: { type: Date, default: null },
+      participants: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      unreadCount: {
+        type: Map,
+        of: Number, // key: userId, value: count
+        default: {},
+      },
+    },
+
     // 🧠 Message type
     type: {
       type: String,
@@ -46,6 +95,7 @@ const messageSchema = new mongoose.Schema(
         "contact",
         "location",
         "system",
+        "poll",
       ],
       required: true,
     },
@@ -66,12 +116,26 @@ const messageSchema = new mongoose.Schema(
       thumbnail: { type: String, default: null },
     },
 
+    // 📊 Poll (only for type "poll")
+    poll: {
+      type: pollSchema,
+      default: null,
+    },
+
     // 🧩 Metadata
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
 
+    // 📣 Mentioned users (resolved from @username, @all and @here)
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
     // ⚙️ Status
     status: {
       type: String,
@@ -101,6 +165,19 @@ const messageSchema = new mongoose.Schema(
       editedAt: { type: Date, default: null },
     },
 
+    // 📜 Earlier versions of the content, oldest first (bounded)
+    revisions: {
+      type: [
+        {
+          _id: false,
+          content: { type: mongoose.Schema.Types.Mixed },
+          createdAt: { type: Date }, // When this version was written
+          replacedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+
     // 🗑️ Per-user soft delete
     deletedFor: [
       {
@@ -109,11 +186,27 @@ const messageSchema = new mongoose.Schema(
       },
     ],
 
-    // ⏳ Ephemeral messages
+    // ⭐ Per-user stars (private to each user, never selected by default)
+    starredBy: {
+      type: [
+        {
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          starredAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+
+    // ⏳ Disappearing messages (set from the chat's messageTTL on send)
     expiresAt: {
       type: Date,
       default: null,
     },
+    // Upload couldn't be deleted; the expiry sweep skips it until then
+    purgeRetryAt: {
+      type: Date,
+      default: null,
+    },
 
     // 🔐 E2E encryption
     encryption: {
@@ -154,9 +247,22 @@ const messageSchema = new mongoose.Schema(
 messageSchema.index({ conversationId: 1, createdAt: -1 });
 messageSchema.index({ senderId: 1, createdAt: -1 });
 messageSchema.index({ "reactions.emoji": 1 });
-messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+messageSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: EXPIRED_MESSAGE_GRACE_SECONDS }
+);
 messageSchema.index({ status: 1 });
 messageSchema.index({ conversationId: 1, isDeleted: 1 });
+messageSchema.index({ content: "text" });
+messageSchema.index({ threadRoot: 1, createdAt: -1 });
+messageSchema.index({ "starredBy.userId": 1, "starredBy.starredAt": -1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ "metadata.broadcastMessageId": 1 }, { sparse: true });
+// Forwards and broadcast copies share the original upload
+messageSchema.index(
+  { "media.publicId": 1 },
+  { partialFilterExpression: { "media.publicId": { $type: "string" } } }
+);
 
 // ============ MIDDLEWARE ============
 
@@ -203,19 +309,41 @@ messageSchema.methods.markSeen = function (userId) {
 };
 
 /**
- * Check if user can edit (only sender, within 15 mins)
+ * Check if user can edit (only sender, within the conversation's edit window)
  */
-messageSchema.methods.canEdit = function (userId) {
-  const fifteenMinutes = 15 * 60 * 1000;
+messageSchema.methods.canEdit = function (
+  userId,
+  editWindowMinutes = DEFAULT_EDIT_WINDOW_MINUTES
+) {
+  const editWindow = editWindowMinutes * 60 * 1000;
   const timeSinceCreated = Date.now() - this.createdAt.getTime();
   return (
     this.senderId.toString() === userId.toString() &&
-    timeSinceCreated < fifteenMinutes &&
+    timeSinceCreated < editWindow &&
     !this.isDeleted &&
     this.deletedFor.length === 0
   );
 };
 
+/**
+ * Replace content, keeping the previous version in the revision history
+ * (requires revisions to be selected)
+ */
+messageSchema.methods.editContent = function (newContent) {
+  this.revisions.push({
+    content: this.content,
+    createdAt: this.edited.editedAt || this.createdAt,
+    replacedAt: Date.now(),
+  });
+
+  // Drop the oldest versions beyond the cap
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  this.content = newContent;
+};
+
 /**
  * Check if user can delete (only sender)
  */
@@ -264,6 +392,66 @@ messageSchema.methods.deleteForUser = function (userId) {
 messageSchema.methods.permanentDelete = function () {
   this.isDeleted = true;
   this.content = "This message was deleted";
+  this.starredBy = []; // Stars don't outlive the message
+  this.revisions = []; // Nor do earlier versions of its content
+};
+
+/**
+ * Check if user has replied in this thread
+ */
+messageSchema.methods.isThreadParticipant = function (userId) {
+  return this.thread.participants.some(
+    (p) => p.toString() === userId.toString()
+  );
+};
+
+/**
+ * Reset thread unread count for a user
+ */
+messageSchema.methods.resetThreadUnread = function (userId) {
+  if (this.thread.unreadCount.has(userId.toString())) {
+    this.thread.unreadCount.set(userId.toString(), 0);
+  }
+};
+
+/**
+ * Check if poll still accepts votes
+ */
+messageSchema.methods.isPollOpen = function () {
+  if (!this.poll || this.poll.closedAt) return false;
+  return !this.poll.closesAt || this.poll.closesAt > Date.now();
+};
+
+/**
+ * Public poll view: tallies only, never voter IDs
+ */
+messageSchema.statics.toPollSummary = function (poll, viewerId = null) {
+  if (!poll) return poll;
+
+  const voterIds = new Set();
+  const votedOptionIds = [];
+
+  const options = poll.options.map((option) => {
+    option.voters.forEach((v) => voterIds.add(v.toString()));
+    if (
+      viewerId &&
+      option.voters.some((v) => v.toString() === viewerId.toString())
+    ) {
+      votedOptionIds.push(option._id);
+    }
+    return { _id: option._id, text: option.text, votes: option.voters.length };
+  });
+
+  return {
+    question: poll.question,
+    options,
+    allowMultiple: poll.allowMultiple,
+    isAnonymous: poll.isAnonymous,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    totalVoters: voterIds.size,
+    ...(viewerId && { votedOptionIds }),
+  };
 };
 
 /**
@@ -272,6 +460,13 @@ messageSchema.methods.permanentDelete = function () {
 messageSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.__v;
+  delete obj.starredBy;
+  delete obj.revisions;
+
+  // Never expose raw poll voters
+  if (obj.poll) {
+    obj.poll = this.constructor.toPollSummary(obj.poll);
+  }
 
   // Hide encryption details if present
   if (obj.encryption && !obj.encryption.cipherText) {
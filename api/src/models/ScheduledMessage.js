@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    // 💬 Conversation reference
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+
+    // 👤 Sender
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 🧠 Message type
+    type: {
+      type: String,
+      enum: ["text", "emoji", "contact", "location"],
+      default: "text",
+    },
+
+    // 🧾 Content
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // 🔁 Reply to another message
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    // 🧩 Metadata
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // ⏰ When to send
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+
+    // ⚙️ Status ("sending" while the queue worker holds the send)
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "failed", "cancelled"],
+      default: "scheduled",
+    },
+
+    // 📨 Message created when the schedule fired
+    sentMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    sentAt: { type: Date, default: null },
+
+    // ❌ Why the send failed
+    failureReason: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ============ INDEXES ============
+scheduledMessageSchema.index({ conversationId: 1, senderId: 1, status: 1 });
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+
+// ============ VIRTUALS ============
+
+// BullMQ job ID for this schedule
+scheduledMessageSchema.virtual("jobId").get(function () {
+  return `scheduled-${this._id}`;
+});
+
+// ============ INSTANCE METHODS ============
+
+/**
+ * Check if schedule can still be edited or cancelled
+ */
+scheduledMessageSchema.methods.isPending = function () {
+  return this.status === "scheduled";
+};
+
+/**
+ * Clean output for API
+ */
+scheduledMessageSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model("ScheduledMessage", scheduledMessageSchema);
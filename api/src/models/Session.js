@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * A login session on one device. Every refresh token issued for it
+ * belongs to the same family: refreshing rotates tokenId, and presenting
+ * any earlier token means it leaked, so the whole session is revoked.
+ * The token just replaced is still accepted for a few seconds, so two
+ * requests racing to refresh (or a retried one) don't log the device out.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    // 👤 Owner
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 📱 Device the session was started on
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "Unknown device",
+    },
+    platform: {
+      type: String,
+      enum: ["ios", "android", "macos", "windows", "linux", "unknown"],
+      default: "unknown",
+    },
+    userAgent: { type: String, maxlength: 500, default: "" },
+
+    // 🌍 Latest activity (refresh or socket connection)
+    ip: { type: String, default: null },
+    lastActiveAt: { type: Date, default: Date.now },
+
+    // 🔑 jti of the only refresh token that may still be used
+    tokenId: { type: String, required: true },
+    // ...and of the one it replaced, honoured for a short grace window
+    previousTokenId: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+
+    // 🚫 Revocation
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse", null],
+      default: null,
+    },
+
+    // ⏳ Expiry of the current refresh token; the document is removed then
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ============ INDEXES ============
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============ INSTANCE METHODS ============
+
+// Check if the session can still be refreshed
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -108,6 +108,17 @@ const userSchema = new mongoose.Schema(
       },
     ],
 
+    // 🗂 Custom chat folders (conversations reference them per participant)
+    chatFolders: {
+      type: [
+        {
+          name: { type: String, required: true, trim: true, maxlength: 30 },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+
     // 📱 Push Notifications
     deviceTokens: [
       {
@@ -126,6 +137,18 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
 
+    // 🔑 Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      // Set at enrollment, only trusted once a first code confirms it
+      secret: { type: String, select: false, default: null },
+      // SHA-256 hashes of unused one-time backup codes
+      backupCodes: { type: [String], select: false, default: [] },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: { type: Number, select: false, default: null },
+    },
+
     // ✉️ Email Verification
     emailVerified: {
       type: Boolean,
@@ -139,6 +162,18 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // Address the current link was sent to; only that one gets verified
+    emailVerificationAddress: {
+      type: String,
+      select: false,
+    },
+    // New address waiting on its verification link; email stays until then
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -197,6 +232,25 @@ userSchema.methods.generatePasswordResetToken = function () {
   return resetToken;
 };
 
+// Generate email verification token for an address (the account email
+// by default)
+userSchema.methods.generateEmailVerificationToken = function (
+  address = this.email
+) {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationAddress = address;
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
 // ============ BLOCK/UNBLOCK METHODS ============
 
 /**
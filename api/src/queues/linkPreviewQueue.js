@@ -0,0 +1,113 @@
+import { Queue, Worker } from "bullmq";
+import { queueConnection } from "./messageDeliveryQueue.js";
+import Message from "../models/Message.js";
+import { linkPreviewService } from "../services/linkPreview.service.js";
+
+/**
+ * Link Preview Queue using BullMQ
+ * Fetches previews off the send path and patches them onto the message
+ */
+
+// ============ CREATE QUEUE ============
+
+export const linkPreviewQueue = new Queue("link-previews", {
+  connection: queueConnection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: {
+      type: "exponential",
+      delay: 3000,
+    },
+    removeOnComplete: {
+      age: 3600, // Keep completed jobs for 1 hour
+      count: 1000,
+    },
+    removeOnFail: {
+      age: 86400, // Keep failed jobs for 24 hours
+      count: 1000,
+    },
+  },
+});
+
+// ============ WORKER ============
+
+export const createLinkPreviewWorker = (io) => {
+  const worker = new Worker(
+    "link-previews",
+    async (job) => {
+      const { messageId, url } = job.data;
+
+      const preview = await linkPreviewService.getPreview(url);
+      if (!preview) {
+        return { skipped: true, reason: "No preview available" };
+      }
+
+      const message = await Message.findById(messageId).select(
+        "conversationId content metadata isDeleted"
+      );
+
+      // Deleted, or edited so the link is gone
+      if (
+        !message ||
+        message.isDeleted ||
+        linkPreviewService.extractUrls(message.content)[0] !== url
+      ) {
+        return { skipped: true, reason: "Message changed" };
+      }
+
+      const metadata = { ...message.metadata, linkPreview: preview };
+      await Message.updateOne(
+        { _id: messageId },
+        { $set: { "metadata.linkPreview": preview } }
+      );
+
+      io.broadcastToConversation(
+        message.conversationId.toString(),
+        "message:updated",
+        {
+          messageId,
+          conversationId: message.conversationId,
+          metadata,
+        }
+      );
+
+      return { updated: true };
+    },
+    {
+      connection: queueConnection,
+      concurrency: 5,
+    }
+  );
+
+  worker.on("failed", (job, err) => {
+    console.error(`❌ Link preview job ${job?.id} failed:`, err.message);
+  });
+
+  worker.on("error", (err) => {
+    console.error("❌ Link preview worker error:", err);
+  });
+
+  return worker;
+};
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Queue a preview for the first link in a text message
+ * Returns null when the message has no links
+ */
+export async function queueLinkPreview(message) {
+  const [url] = linkPreviewService.extractUrls(message.content);
+  if (!url) return null;
+
+  return linkPreviewQueue.add(
+    "fetch-preview",
+    { messageId: message._id.toString(), url },
+    { jobId: `link-preview-${message._id}` }
+  );
+}
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  await linkPreviewQueue.close();
+});
@@ -9,13 +9,20 @@ import { connectionManager } from "../sockets/managers/ConnectionManager.js";
 
 // ============ QUEUE CONFIGURATION ============
 
-const queueConnection = {
+export const queueConnection = {
   host: process.env.REDIS_HOST || "redis",
   port: parseInt(process.env.REDIS_PORT) || 6379,
   password: process.env.REDIS_PASSWORD || undefined,
   maxRetriesPerRequest: null,
 };
 
+// BullMQ runs lower numbers first, and jobs without a priority ahead of
+// every prioritized job, so normal deliveries need a priority too
+export const DELIVERY_PRIORITY = {
+  MENTION: 1,
+  NORMAL: 10,
+};
+
 // ============ CREATE QUEUE ============
 
 export const messageDeliveryQueue = new Queue("message-delivery", {
@@ -75,6 +82,16 @@ export const createMessageDeliveryWorker = (io) => {
       // Emit via cross-instance pub/sub
       await connectionManager.emitToUser(userId, event, data);
 
+      // Muted chats arrive silently; only notify-worthy messages (unmuted,
+      // or mentioning the user) raise a notification
+      if (data?.notify) {
+        await connectionManager.emitToUser(userId, "notification:new", {
+          conversationId: data.conversationId,
+          messageId,
+          mentioned: Boolean(data.mentioned),
+        });
+      }
+
       // Update job progress
       await job.updateProgress(100);
 
@@ -129,7 +146,7 @@ export async function queueMessageDelivery(
   event,
   data,
   messageId,
-  priority = 0
+  priority = DELIVERY_PRIORITY.NORMAL
 ) {
   try {
     const job = await messageDeliveryQueue.add(
@@ -142,7 +159,7 @@ export async function queueMessageDelivery(
         queuedAt: Date.now(),
       },
       {
-        priority, // Higher number = higher priority
+        priority, // Lower number = delivered first
         jobId: `msg-${messageId}-${userId}`, // Unique job ID prevents duplicates
       }
     );
@@ -0,0 +1,86 @@
+import { Queue, Worker } from "bullmq";
+import { queueConnection } from "./messageDeliveryQueue.js";
+import { messageService } from "../services/message.service.js";
+
+/**
+ * Message Expiry Queue using BullMQ
+ * A repeating sweep that purges disappearing messages once their timer
+ * runs out and tells clients to drop their local copies
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// ============ CREATE QUEUE ============
+
+export const messageExpiryQueue = new Queue("message-expiry", {
+  connection: queueConnection,
+  defaultJobOptions: {
+    attempts: 1, // The next sweep picks up whatever this one missed
+    removeOnComplete: {
+      age: 3600, // Keep completed jobs for 1 hour
+      count: 100,
+    },
+    removeOnFail: {
+      age: 86400, // Keep failed jobs for 24 hours
+      count: 100,
+    },
+  },
+});
+
+// ============ WORKER ============
+
+export const createMessageExpiryWorker = (io) => {
+  const worker = new Worker(
+    "message-expiry",
+    async () => {
+      const { count, conversations } =
+        await messageService.purgeExpiredMessages();
+
+      for (const conversation of conversations) {
+        // Every device, not just open chats, so offline copies get purged
+        await io.broadcastToUsers(
+          conversation.participantIds,
+          "message:expired",
+          {
+            conversationId: conversation.conversationId,
+            messageIds: conversation.messageIds,
+          }
+        );
+      }
+
+      return { purged: count };
+    },
+    {
+      connection: queueConnection,
+      concurrency: 1,
+    }
+  );
+
+  worker.on("failed", (job, err) => {
+    console.error(`❌ Message expiry job ${job?.id} failed:`, err.message);
+  });
+
+  worker.on("error", (err) => {
+    console.error("❌ Message expiry worker error:", err);
+  });
+
+  return worker;
+};
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Register the repeating sweep (idempotent across instances)
+ */
+export async function scheduleMessageExpirySweep() {
+  return messageExpiryQueue.upsertJobScheduler(
+    "message-expiry-sweep",
+    { every: SWEEP_INTERVAL_MS },
+    { name: "sweep-expired" }
+  );
+}
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  await messageExpiryQueue.close();
+});
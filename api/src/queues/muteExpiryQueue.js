@@ -0,0 +1,113 @@
+import { Queue, Worker } from "bullmq";
+import { queueConnection } from "./messageDeliveryQueue.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { conversationService } from "../services/conversation.service.js";
+
+/**
+ * Mute Expiry Queue using BullMQ
+ * One delayed job per timed mute; clears the flag and syncs the user's devices
+ */
+
+// ============ CREATE QUEUE ============
+
+export const muteExpiryQueue = new Queue("mute-expiry", {
+  connection: queueConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 5000,
+    },
+    removeOnComplete: {
+      age: 3600, // Keep completed jobs for 1 hour
+      count: 1000,
+    },
+    removeOnFail: {
+      age: 86400, // Keep failed jobs for 24 hours
+      count: 1000,
+    },
+  },
+});
+
+// ============ WORKER ============
+
+export const createMuteExpiryWorker = () => {
+  const worker = new Worker(
+    "mute-expiry",
+    async (job) => {
+      const { conversationId, userId, mutedUntil } = job.data;
+
+      const expired = await conversationService.expireMute(
+        conversationId,
+        userId,
+        new Date(mutedUntil)
+      );
+
+      // Unmuted or re-muted by hand since this job was queued
+      if (!expired) {
+        return { skipped: true, reason: "Mute changed" };
+      }
+
+      await connectionManager.emitToUser(userId, "conversation:unmuted", {
+        conversationId,
+        reason: "expired",
+      });
+
+      return { unmuted: true };
+    },
+    {
+      connection: queueConnection,
+      concurrency: 5,
+    }
+  );
+
+  worker.on("failed", (job, err) => {
+    console.error(`❌ Mute expiry job ${job?.id} failed:`, err.message);
+  });
+
+  worker.on("error", (err) => {
+    console.error("❌ Mute expiry worker error:", err);
+  });
+
+  return worker;
+};
+
+// ============ HELPER FUNCTIONS ============
+
+const muteJobId = (conversationId, userId) =>
+  `mute-expiry-${conversationId}-${userId}`;
+
+/**
+ * Schedule the automatic unmute for a timed mute (replaces any earlier one)
+ */
+export async function queueMuteExpiry(conversationId, userId, mutedUntil) {
+  await cancelMuteExpiry(conversationId, userId);
+
+  return muteExpiryQueue.add(
+    "expire-mute",
+    {
+      conversationId: conversationId.toString(),
+      userId: userId.toString(),
+      mutedUntil: mutedUntil.toISOString(),
+    },
+    {
+      delay: Math.max(0, mutedUntil.getTime() - Date.now()),
+      jobId: muteJobId(conversationId, userId),
+    }
+  );
+}
+
+/**
+ * Drop the automatic unmute (unmuted early or muted forever)
+ */
+export async function cancelMuteExpiry(conversationId, userId) {
+  const job = await muteExpiryQueue.getJob(muteJobId(conversationId, userId));
+  if (job) {
+    await job.remove();
+  }
+}
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  await muteExpiryQueue.close();
+});
@@ -0,0 +1,103 @@
+import { Queue, Worker } from "bullmq";
+import { queueConnection } from "./messageDeliveryQueue.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { PollCommand } from "../sockets/commands/PollCommand.js";
+import { pollService } from "../services/poll.service.js";
+
+/**
+ * Poll Close Queue using BullMQ
+ * One delayed job per poll with a close time
+ */
+
+// ============ CREATE QUEUE ============
+
+export const pollCloseQueue = new Queue("poll-close", {
+  connection: queueConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 5000,
+    },
+    removeOnComplete: {
+      age: 3600, // Keep completed jobs for 1 hour
+      count: 1000,
+    },
+    removeOnFail: {
+      age: 86400, // Keep failed jobs for 24 hours
+      count: 1000,
+    },
+  },
+});
+
+// ============ WORKER ============
+
+export const createPollCloseWorker = (io) => {
+  const pollCommand = new PollCommand(io, connectionManager);
+
+  const worker = new Worker(
+    "poll-close",
+    async (job) => {
+      const { messageId } = job.data;
+
+      let result;
+      try {
+        result = await pollService.closePoll(messageId);
+      } catch (error) {
+        // Already closed by hand, or deleted
+        if (error.isOperational) {
+          return { skipped: true, reason: error.message };
+        }
+        throw error;
+      }
+
+      await pollCommand.announceClosed(result);
+
+      return { closed: true };
+    },
+    {
+      connection: queueConnection,
+      concurrency: 5,
+    }
+  );
+
+  worker.on("failed", (job, err) => {
+    console.error(`❌ Poll close job ${job?.id} failed:`, err.message);
+  });
+
+  worker.on("error", (err) => {
+    console.error("❌ Poll close worker error:", err);
+  });
+
+  return worker;
+};
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Schedule automatic close for a poll message
+ */
+export async function queuePollClose(message) {
+  const delay = Math.max(0, message.poll.closesAt.getTime() - Date.now());
+
+  return pollCloseQueue.add(
+    "close-poll",
+    { messageId: message._id.toString() },
+    { delay, jobId: `poll-close-${message._id}` }
+  );
+}
+
+/**
+ * Drop the automatic close job (poll closed early)
+ */
+export async function cancelPollClose(messageId) {
+  const job = await pollCloseQueue.getJob(`poll-close-${messageId}`);
+  if (job) {
+    await job.remove();
+  }
+}
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  await pollCloseQueue.close();
+});
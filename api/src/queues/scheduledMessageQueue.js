@@ -0,0 +1,178 @@
+import { Queue, Worker, QueueEvents, UnrecoverableError } from "bullmq";
+import { queueConnection } from "./messageDeliveryQueue.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { SendMessageCommand } from "../sockets/commands/SendMessageCommand.js";
+import { scheduledMessageService } from "../services/scheduledMessage.service.js";
+
+/**
+ * Scheduled Message Queue using BullMQ
+ * Holds one delayed job per scheduled message until it is due
+ */
+
+// ============ CREATE QUEUE ============
+
+export const scheduledMessageQueue = new Queue("scheduled-messages", {
+  connection: queueConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 5000,
+    },
+    removeOnComplete: {
+      age: 3600, // Keep completed jobs for 1 hour
+      count: 1000,
+    },
+    removeOnFail: {
+      age: 7 * 86400, // Keep failed jobs for 7 days
+      count: 5000,
+    },
+  },
+});
+
+// ============ QUEUE EVENTS ============
+
+const queueEvents = new QueueEvents("scheduled-messages", {
+  connection: queueConnection,
+});
+
+queueEvents.on("failed", ({ jobId, failedReason }) => {
+  console.error(`❌ Scheduled job ${jobId} failed: ${failedReason}`);
+});
+
+// ============ WORKER ============
+
+export const createScheduledMessageWorker = (io) => {
+  const sendMessageCommand = new SendMessageCommand(io, connectionManager);
+
+  const worker = new Worker(
+    "scheduled-messages",
+    async (job) => {
+      const { scheduledMessageId } = job.data;
+
+      console.log(`⏰ Processing scheduled message ${scheduledMessageId}`);
+
+      let result;
+      try {
+        result =
+          await scheduledMessageService.dispatchScheduledMessage(
+            scheduledMessageId
+          );
+      } catch (error) {
+        // Operational errors (sender removed, conversation gone) won't fix
+        // themselves on retry
+        if (error.isOperational) {
+          throw new UnrecoverableError(error.message);
+        }
+        throw error;
+      }
+
+      // Cancelled or already sent
+      if (!result) {
+        return { skipped: true };
+      }
+
+      const { scheduled, message, conversation } = result;
+      const senderId = scheduled.senderId.toString();
+
+      // Same fan-out path as a live message:send
+      await sendMessageCommand.broadcast(conversation, message, senderId);
+
+      await connectionManager.emitToUser(senderId, "message:scheduled:sent", {
+        scheduledMessageId,
+        conversationId: conversation._id,
+        messageId: message._id,
+      });
+
+      return { sent: true, messageId: message._id.toString() };
+    },
+    {
+      connection: queueConnection,
+      concurrency: 5,
+    }
+  );
+
+  // ============ WORKER EVENTS ============
+
+  worker.on("failed", async (job, err) => {
+    if (!job) return;
+
+    const exhausted =
+      err instanceof UnrecoverableError ||
+      job.attemptsMade >= job.opts.attempts;
+
+    if (exhausted) {
+      await scheduledMessageService.markFailed(
+        job.data.scheduledMessageId,
+        err.message
+      );
+    }
+  });
+
+  worker.on("error", (err) => {
+    console.error("❌ Scheduled message worker error:", err);
+  });
+
+  return worker;
+};
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Add a delayed job for a scheduled message
+ */
+export async function queueScheduledMessage(scheduledMessage) {
+  const delay = Math.max(
+    0,
+    scheduledMessage.scheduledFor.getTime() - Date.now()
+  );
+
+  return scheduledMessageQueue.add(
+    "send-scheduled",
+    { scheduledMessageId: scheduledMessage._id.toString() },
+    { delay, jobId: scheduledMessage.jobId }
+  );
+}
+
+/**
+ * Move an existing job to a new send time
+ */
+export async function rescheduleScheduledMessage(scheduledMessage) {
+  const job = await scheduledMessageQueue.getJob(scheduledMessage.jobId);
+
+  if (!job) {
+    return queueScheduledMessage(scheduledMessage);
+  }
+
+  const delay = Math.max(
+    0,
+    scheduledMessage.scheduledFor.getTime() - Date.now()
+  );
+  await job.changeDelay(delay);
+  return job;
+}
+
+/**
+ * Remove the job for a cancelled scheduled message
+ */
+export async function removeScheduledMessage(scheduledMessage) {
+  const job = await scheduledMessageQueue.getJob(scheduledMessage.jobId);
+
+  // A running job can't be removed; its claim finds the schedule
+  // cancelled and skips the send
+  if (!job || (await job.isActive())) return;
+
+  try {
+    await job.remove();
+  } catch (error) {
+    // Picked up (and locked) by a worker in the meantime
+    console.warn(
+      `⚠️ Could not remove scheduled job ${job.id}: ${error.message}`
+    );
+  }
+}
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  await scheduledMessageQueue.close();
+});
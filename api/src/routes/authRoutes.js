@@ -2,14 +2,20 @@ import express from "express";
 import {
   register,
   login,
+  loginTwoFactor,
   refreshToken,
+  unlockAccount,
+  verifyEmail,
+  resendVerification,
   logout,
 } from "../controllers/authController.js";
 import { validate } from "../middleware/validate.js";
 import {
   registerSchema,
   loginSchema,
+  twoFactorLoginSchema,
   refreshTokenSchema,
+  unlockAccountSchema,
 } from "../validators/auth.validator.js";
 import { verifyAccessToken } from "../middleware/auth.js";
 import { inspectToken, checkServerTime } from "../utils/verifyToken.js";
@@ -19,7 +25,10 @@ const router = express.Router();
 // Public routes with validation
 router.post("/register", validate(registerSchema), register);
 router.post("/login", validate(loginSchema), login);
+router.post("/login/2fa", validate(twoFactorLoginSchema), loginTwoFactor);
 router.post("/refresh", validate(refreshTokenSchema), refreshToken);
+router.post("/unlock-account", validate(unlockAccountSchema), unlockAccount);
+router.get("/verify-email/:token", verifyEmail);
 
 // Debug endpoints (remove in production)
 if (process.env.NODE_ENV === 'development') {
@@ -43,5 +52,6 @@ if (process.env.NODE_ENV === 'development') {
 
 // Protected routes
 router.post("/logout", verifyAccessToken, logout);
+router.post("/resend-verification", verifyAccessToken, resendVerification);
 
 export default router;
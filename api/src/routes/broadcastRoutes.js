@@ -0,0 +1,46 @@
+import express from "express";
+import { verifyAccessToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import * as broadcastController from "../controllers/broadcastController.js";
+import {
+  createBroadcastListSchema,
+  updateBroadcastListSchema,
+  broadcastMessageSchema,
+} from "../validators/broadcast.validator.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyAccessToken);
+
+// ========== 📢 BROADCAST LISTS ==========
+router.get("/", broadcastController.getBroadcastLists);
+router.post(
+  "/",
+  validate(createBroadcastListSchema),
+  broadcastController.createBroadcastList
+);
+router.get("/:id", broadcastController.getBroadcastList);
+router.patch(
+  "/:id",
+  validate(updateBroadcastListSchema),
+  broadcastController.updateBroadcastList
+);
+router.delete("/:id", broadcastController.deleteBroadcastList);
+
+// ========== 📨 BROADCAST MESSAGES ==========
+
+// Send to every recipient (private copy in each direct chat)
+router.post(
+  "/:id/messages",
+  validate(broadcastMessageSchema),
+  broadcastController.sendBroadcastMessage
+);
+
+// Aggregated delivered/seen report
+router.get(
+  "/:id/messages/:messageId/report",
+  broadcastController.getBroadcastReport
+);
+
+export default router;
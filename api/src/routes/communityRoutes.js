@@ -0,0 +1,67 @@
+import express from "express";
+import { verifyAccessToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import * as communityController from "../controllers/communityController.js";
+import {
+  createCommunitySchema,
+  communityGroupSchema,
+  communityMembersSchema,
+  communityRoleSchema,
+} from "../validators/community.validator.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyAccessToken);
+
+// ========== 🏘 COMMUNITIES ==========
+router.get("/", communityController.getCommunities);
+router.post(
+  "/",
+  validate(createCommunitySchema),
+  communityController.createCommunity
+);
+router.get("/:id", communityController.getCommunity);
+
+// ========== 👥 MEMBERS ==========
+
+// Join a public community / leave one
+router.post("/:id/join", communityController.joinCommunity);
+router.post("/:id/leave", communityController.leaveCommunity);
+
+// Member directory (?q=&limit=&offset=)
+router.get("/:id/members", communityController.getCommunityMembers);
+
+// Add members (admins only; the way into private communities)
+router.post(
+  "/:id/members",
+  validate(communityMembersSchema),
+  communityController.addCommunityMembers
+);
+
+// Make a member a community admin or back to member (owner only)
+router.put(
+  "/:id/members/:userId/role",
+  validate(communityRoleSchema),
+  communityController.setCommunityMemberRole
+);
+
+// ========== 🧩 GROUPS ==========
+
+// Start a new group inside the community (community admins)
+router.post(
+  "/:id/groups",
+  validate(communityGroupSchema),
+  communityController.createCommunityGroup
+);
+
+// Bring an existing group you administer into the community
+router.post("/:id/groups/:groupId", communityController.addCommunityGroup);
+
+// Join one of the community's groups
+router.post(
+  "/:id/groups/:groupId/join",
+  communityController.joinCommunityGroup
+);
+
+export default router;
@@ -1,6 +1,22 @@
 import express from "express";
 import { verifyAccessToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
 import * as conversationController from "../controllers/conversationController.js";
+import {
+  inviteLinkSchema,
+  groupPermissionsSchema,
+  groupSettingsSchema,
+  assignRoleSchema,
+  createRoleSchema,
+  updateRoleSchema,
+  memberTimeoutSchema,
+  slowModeSchema,
+} from "../validators/group.validator.js";
+import {
+  disappearingMessagesSchema,
+  muteConversationSchema,
+  chatFolderSchema,
+} from "../validators/conversation.validator.js";
 
 const router = express.Router();
 
@@ -8,8 +24,33 @@ const router = express.Router();
 router.use(verifyAccessToken);
 
 // ========== CONVERSATION ROUTES ==========
+
+// Inbox: ?cursor=&limit=&filter=all|unread|groups|archived&folder=
 router.get("/", conversationController.getConversations);
 router.post("/", conversationController.createConversation);
+
+// ========== 🗂 CHAT FOLDERS (before /:id) ==========
+
+// Get the user's folders
+router.get("/folders", conversationController.getFolders);
+
+// Create a folder
+router.post(
+  "/folders",
+  validate(chatFolderSchema),
+  conversationController.createFolder
+);
+
+// Rename a folder
+router.patch(
+  "/folders/:folderId",
+  validate(chatFolderSchema),
+  conversationController.renameFolder
+);
+
+// Delete a folder (chats stay, they just leave the folder)
+router.delete("/folders/:folderId", conversationController.deleteFolder);
+
 router.get("/:id", conversationController.getConversation);
 router.put("/:id", conversationController.updateConversation);
 
@@ -30,19 +71,159 @@ router.delete(
 // Leave group
 router.post("/:id/leave", conversationController.leaveGroup);
 
-// Promote user to admin
-router.post("/:id/admins/:userId", conversationController.promoteToAdmin);
+// Assign a member's role (owner alone adds or removes admins)
+router.put(
+  "/:id/members/:userId/role",
+  validate(assignRoleSchema),
+  conversationController.assignRole
+);
 
-// Demote admin to member
-router.delete("/:id/admins/:userId", conversationController.demoteFromAdmin);
+// Time a member out (moderators and admins) / lift the timeout
+router.post(
+  "/:id/members/:userId/timeout",
+  validate(memberTimeoutSchema),
+  conversationController.timeoutMember
+);
+router.delete(
+  "/:id/members/:userId/timeout",
+  conversationController.removeTimeout
+);
+
+// Slow mode: one message per member every N seconds (0 = off)
+router.patch(
+  "/:id/slow-mode",
+  validate(slowModeSchema),
+  conversationController.setSlowMode
+);
 
 // Update group info (name, description, avatar)
 router.patch("/:id/info", conversationController.updateGroupInfo);
 
+// Update group permissions (everyone / admins / owner per action)
+router.patch(
+  "/:id/permissions",
+  validate(groupPermissionsSchema),
+  conversationController.updateGroupPermissions
+);
+
+// Update group settings (pin limit, edit window)
+router.patch(
+  "/:id/settings",
+  validate(groupSettingsSchema),
+  conversationController.updateGroupSettings
+);
+
 // Transfer ownership
 router.post(
   "/:id/transfer-ownership",
   conversationController.transferOwnership
 );
 
+// Audit log of admin actions (?action=&actor=&target=&from=&to=&before=)
+router.get("/:id/audit", conversationController.getAuditLog);
+
+// ========== 🎭 CUSTOM ROLES ==========
+
+// List custom roles
+router.get("/:id/roles", conversationController.getRoles);
+
+// Create a custom role with a permission set (admins only)
+router.post(
+  "/:id/roles",
+  validate(createRoleSchema),
+  conversationController.createRole
+);
+
+// Rename a custom role or change its permissions
+router.patch(
+  "/:id/roles/:roleId",
+  validate(updateRoleSchema),
+  conversationController.updateRole
+);
+
+// Delete a custom role (holders keep their built-in role)
+router.delete("/:id/roles/:roleId", conversationController.deleteRole);
+
+// ========== 🔗 INVITE LINKS ==========
+
+// Get current invite link (admins only)
+router.get("/:id/invite", conversationController.getInviteLink);
+
+// Create invite link (optional expiry, max uses, approval mode)
+router.post(
+  "/:id/invite",
+  validate(inviteLinkSchema),
+  conversationController.createInviteLink
+);
+
+// Rotate invite link (old code stops working)
+router.post(
+  "/:id/invite/rotate",
+  validate(inviteLinkSchema),
+  conversationController.rotateInviteLink
+);
+
+// Revoke invite link
+router.delete("/:id/invite", conversationController.revokeInviteLink);
+
+// List pending join requests
+router.get("/:id/join-requests", conversationController.getJoinRequests);
+
+// Approve join request
+router.post(
+  "/:id/join-requests/:userId/approve",
+  conversationController.approveJoinRequest
+);
+
+// Reject join request
+router.post(
+  "/:id/join-requests/:userId/reject",
+  conversationController.rejectJoinRequest
+);
+
+// ========== 📌 PINNED MESSAGES ==========
+
+// Get pinned messages
+router.get("/:id/pins", conversationController.getPinnedMessages);
+
+// Pin a message (admins in groups, either participant in direct chats)
+router.post("/:id/pins/:messageId", conversationController.pinMessage);
+
+// Unpin a message
+router.delete("/:id/pins/:messageId", conversationController.unpinMessage);
+
+// ========== ⏳ DISAPPEARING MESSAGES ==========
+
+// Turn disappearing messages on (TTL in seconds) or off (null)
+router.patch(
+  "/:id/disappearing",
+  validate(disappearingMessagesSchema),
+  conversationController.setDisappearingMessages
+);
+
+// ========== 🗂 ARCHIVE, MUTE & FOLDERS (per user) ==========
+
+// Pin / unpin a chat to the top of the inbox (max 3)
+router.post("/:id/pin", conversationController.pinConversation);
+router.delete("/:id/pin", conversationController.unpinConversation);
+
+// Archive / unarchive a chat
+router.post("/:id/archive", conversationController.archiveConversation);
+router.delete("/:id/archive", conversationController.unarchiveConversation);
+
+// Mute a chat for 8h, 1w or forever / unmute it
+router.post(
+  "/:id/mute",
+  validate(muteConversationSchema),
+  conversationController.muteConversation
+);
+router.delete("/:id/mute", conversationController.unmuteConversation);
+
+// Add a chat to a folder / remove it
+router.post("/:id/folders/:folderId", conversationController.addToFolder);
+router.delete(
+  "/:id/folders/:folderId",
+  conversationController.removeFromFolder
+);
+
 export default router;
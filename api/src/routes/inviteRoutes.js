@@ -0,0 +1,13 @@
+import express from "express";
+import { verifyAccessToken } from "../middleware/auth.js";
+import * as inviteController from "../controllers/inviteController.js";
+
+const router = express.Router();
+
+// Public preview (group name, avatar, member count)
+router.get("/:code", inviteController.getInvitePreview);
+
+// Join through an invite link
+router.post("/:code/join", verifyAccessToken, inviteController.joinViaInvite);
+
+export default router;
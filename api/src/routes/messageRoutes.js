@@ -1,6 +1,14 @@
 import express from "express";
 import { verifyAccessToken } from "../middleware/auth.js";
 import * as messageController from "../controllers/messageController.js";
+import * as scheduledMessageController from "../controllers/scheduledMessageController.js";
+import { validate } from "../middleware/validate.js";
+import {
+  scheduleMessageSchema,
+  updateScheduledMessageSchema,
+  forwardMessageSchema,
+  searchMessagesSchema,
+} from "../validators/message.validator.js";
 
 const router = express.Router();
 
@@ -17,13 +25,83 @@ router.get(
   messageController.getMessagesPaginated
 );
 
+// ============ SCHEDULED MESSAGES ============
+// Schedule a message in a conversation
+router.post(
+  "/conversations/:conversationId/scheduled",
+  validate(scheduleMessageSchema),
+  scheduledMessageController.scheduleMessage
+);
+
+// List own scheduled messages in a conversation
+router.get(
+  "/conversations/:conversationId/scheduled",
+  scheduledMessageController.getScheduledMessages
+);
+
+// Edit a pending scheduled message
+router.patch(
+  "/scheduled/:scheduledMessageId",
+  validate(updateScheduledMessageSchema),
+  scheduledMessageController.updateScheduledMessage
+);
+
+// Cancel a pending scheduled message
+router.delete(
+  "/scheduled/:scheduledMessageId",
+  scheduledMessageController.cancelScheduledMessage
+);
+
+// Search messages across the user's conversations
+// (must be before /:messageId to avoid conflict)
+router.get(
+  "/search",
+  validate(searchMessagesSchema, "query"),
+  messageController.searchMessages
+);
+
+// Get the user's starred messages
+router.get("/starred", messageController.getStarredMessages);
+
+// Get messages that mention the user
+router.get("/mentions", messageController.getMentions);
+
 // Get single message by ID
 router.get("/:messageId", messageController.getMessage);
 
+// ============ THREADS ============
+// Get thread replies (cursor pagination)
+router.get("/:messageId/thread", messageController.getThread);
+
+// Mark thread as read
+router.post("/:messageId/thread/read", messageController.markThreadAsRead);
+
+// ============ POLLS ============
+// List voters (non-anonymous polls only)
+router.get("/:messageId/poll/voters", messageController.getPollVoters);
+
+// ============ FORWARDING ============
+// Forward message to one or more conversations
+router.post(
+  "/:messageId/forward",
+  validate(forwardMessageSchema),
+  messageController.forwardMessage
+);
+
+// ============ STARS ============
+// Star message
+router.post("/:messageId/star", messageController.starMessage);
+
+// Remove star
+router.delete("/:messageId/star", messageController.unstarMessage);
+
 // ============ EDIT/DELETE ============
 // Edit message
 router.patch("/:messageId/edit", messageController.editMessage);
 
+// Get edit history (participants only)
+router.get("/:messageId/revisions", messageController.getMessageRevisions);
+
 // Delete message for current user
 router.delete("/:messageId", messageController.deleteMessage);
 
@@ -8,6 +8,14 @@ import {
   requestPasswordReset,
   resetPassword,
   updatePrivacySettings,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
 } from "../controllers/profileController.js";
 import { verifyAccessToken } from "../middleware/auth.js";
 import { validate } from "../middleware/validate.js";
@@ -16,6 +24,8 @@ import {
   changePasswordSchema,
   requestPasswordResetSchema,
   resetPasswordSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
 } from "../validators/profile.validator.js";
 import { uploadAvatar } from "../config/cloudinary.js";
 
@@ -53,6 +63,33 @@ router.post(
 );
 router.patch("/privacy", verifyAccessToken, updatePrivacySettings);
 
+// Sessions (logged-in devices)
+router.get("/sessions", verifyAccessToken, getSessions);
+router.post("/sessions/logout-others", verifyAccessToken, revokeOtherSessions);
+router.delete("/sessions/:sessionId", verifyAccessToken, revokeSession);
+
+// Two-factor authentication
+router.get("/2fa", verifyAccessToken, getTwoFactorStatus);
+router.post("/2fa/setup", verifyAccessToken, setupTwoFactor);
+router.post(
+  "/2fa/confirm",
+  verifyAccessToken,
+  validate(twoFactorCodeSchema),
+  confirmTwoFactor
+);
+router.post(
+  "/2fa/backup-codes",
+  verifyAccessToken,
+  validate(twoFactorCodeSchema),
+  regenerateBackupCodes
+);
+router.delete(
+  "/2fa",
+  verifyAccessToken,
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
 // Public routes (password reset)
 router.post(
   "/request-password-reset",
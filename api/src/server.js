@@ -17,6 +17,9 @@ import userRoutes from "./routes/userRoutes.js";
 import profileRoutes from "./routes/profileRoutes.js";
 import messageRoutes from "./routes/messageRoutes.js";
 import mediaRoutes from "./routes/mediaRoutes.js";
+import inviteRoutes from "./routes/inviteRoutes.js";
+import broadcastRoutes from "./routes/broadcastRoutes.js";
+import communityRoutes from "./routes/communityRoutes.js";
 
 // Socket imports
 import { initializeSocket } from "./sockets/index.js";
@@ -110,6 +113,9 @@ app.use("/api/users", userRoutes);
 app.use("/api/profile", profileRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/media", mediaRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/broadcasts", broadcastRoutes);
+app.use("/api/communities", communityRoutes);
 
 // Health check
 app.get("/health", async (req, res) => {
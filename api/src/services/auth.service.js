@@ -1,15 +1,44 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
 import {
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getTokenExpiry,
 } from "../config/jwt.js";
 import User from "../models/user.js";
+import Session from "../models/Session.js";
+import { sessionService } from "./session.service.js";
+import { twoFactorService } from "./twoFactor.service.js";
+import { cacheService } from "./cache.service.js";
+import { emailService } from "./email.service.js";
+import { emailVerificationService } from "./emailVerification.service.js";
 import {
   ConflictError,
   UnauthorizedError,
   BadRequestError,
+  TooManyRequestsError,
 } from "../utils/AppError.js";
 
+// Per-account brute-force protection (failures are counted per email, so
+// unknown emails behave exactly like real ones)
+const FREE_LOGIN_ATTEMPTS = 3;
+const MAX_LOGIN_DELAY_SECONDS = 60;
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_SECONDS = 30 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+// Wait asked of every login while failures can't be tracked
+const LOGIN_UNAVAILABLE_RETRY_SECONDS = 30;
+
+// How long the refresh token just rotated out is still honoured
+const REFRESH_GRACE_SECONDS = 30;
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH =
+  "$2b$12$DbUCQOCxFsVC59DXlc1TiOvSVcx5RKfLphmpm59ZyOJ13AlQmMoZK";
+
 /**
  * Authentication Service
  * Handles all authentication business logic
@@ -17,8 +46,9 @@ import {
 export class AuthService {
   /**
    * Register a new user
+   * client: { ip, userAgent, deviceName, platform } of the signing-up device
    */
-  async register({ email, username, password }) {
+  async register({ email, username, password }, client = {}) {
     // Check if email already exists
     const existingEmail = await User.findOne({ email });
     if (existingEmail) {
@@ -38,36 +68,80 @@ export class AuthService {
       password,
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.email);
-    const refreshToken = generateRefreshToken(user._id);
+    // A failed email can be resent later, so it doesn't fail sign-up
+    await emailVerificationService.sendVerification(user);
+
+    // Start a session and generate its tokens
+    const tokens = await this.createSession(user, client);
 
     return {
       user: this.sanitizeUser(user),
-      accessToken,
-      refreshToken,
+      ...tokens,
     };
   }
 
   /**
    * Login existing user
+   * With 2FA on, the password only earns a challenge token for
+   * completeTwoFactorLogin
    */
-  async login({ email, password }) {
+  async login({ email, password }, client = {}) {
+    await this.assertLoginAllowed(email);
+
     // Find user and explicitly include password field
     const user = await User.findOne({ email }).select("+password");
-    if (!user) {
-      throw new UnauthorizedError("Invalid credentials");
-    }
 
     // Verify password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    const isPasswordValid = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid) {
+      await this.recordLoginFailure(email, user);
       throw new UnauthorizedError("Invalid credentials");
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.email);
-    const refreshToken = generateRefreshToken(user._id);
+    // Failures are only cleared once every step has passed
+    if (user.twoFactor?.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, user.email),
+      };
+    }
+
+    return this.startLoginSession(user, client);
+  }
+
+  /**
+   * Second login step: a challenge token plus an authenticator or
+   * backup code
+   */
+  async completeTwoFactorLogin({ challengeToken, code }, client = {}) {
+    const decoded = verifyChallengeToken(challengeToken);
+
+    await this.assertLoginAllowed(decoded.email);
+
+    let user;
+    try {
+      user = await twoFactorService.verifyLogin(decoded.userId, code);
+    } catch (error) {
+      if (error instanceof UnauthorizedError) {
+        await this.recordLoginFailure(decoded.email);
+      }
+      throw error;
+    }
+
+    return this.startLoginSession(user, client);
+  }
+
+  /**
+   * Start a session for a user who passed every login step
+   */
+  async startLoginSession(user, client) {
+    await cacheService.clearFailedLogins(user.email);
+
+    // Start a session and generate its tokens
+    const tokens = await this.createSession(user, client);
 
     // Update last login
     user.lastSeen = new Date();
@@ -75,22 +149,27 @@ export class AuthService {
 
     return {
       user: this.sanitizeUser(user),
-      accessToken,
-      refreshToken,
+      ...tokens,
     };
   }
 
   /**
-   * Refresh access token
+   * Exchange a refresh token for a new token pair
+   * The presented token is revoked by the rotation; presenting it again
+   * revokes the whole session
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, client = {}) {
     if (!refreshToken) {
       throw new BadRequestError("Refresh token is required");
     }
 
     const decoded = verifyRefreshToken(refreshToken);
-    if (!decoded) {
-      throw new UnauthorizedError("Invalid or expired refresh token");
+    if (!decoded?.sessionId || !decoded.jti) {
+      // Issued before sessions existed
+      throw new UnauthorizedError(
+        "Session expired, please log in again",
+        "SESSION_EXPIRED"
+      );
     }
 
     const user = await User.findById(decoded.userId);
@@ -98,15 +177,236 @@ export class AuthService {
       throw new UnauthorizedError("User not found");
     }
 
-    // Generate new access token with email
-    const accessToken = generateAccessToken(user._id, user.email);
+    const tokenId = crypto.randomUUID();
+    let nextRefreshToken = generateRefreshToken(
+      user._id,
+      decoded.sessionId,
+      tokenId
+    );
+
+    // Only the session's current token can be swapped for the next one
+    let session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sessionId,
+        user: user._id,
+        tokenId: decoded.jti,
+        revokedAt: null,
+      },
+      {
+        $set: {
+          tokenId,
+          previousTokenId: decoded.jti,
+          rotatedAt: new Date(),
+          expiresAt: getTokenExpiry(nextRefreshToken),
+          lastActiveAt: new Date(),
+          ...(client.ip && { ip: client.ip }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A concurrent or retried refresh with the token just rotated out
+      // gets the current token again instead of revoking the session
+      session = await Session.findOne({
+        _id: decoded.sessionId,
+        user: user._id,
+        previousTokenId: decoded.jti,
+        rotatedAt: { $gt: new Date(Date.now() - REFRESH_GRACE_SECONDS * 1000) },
+        revokedAt: null,
+      });
+
+      if (!session) {
+        await this.rejectStaleRefreshToken(decoded);
+      }
+
+      nextRefreshToken = generateRefreshToken(
+        user._id,
+        session._id,
+        session.tokenId
+      );
+    }
 
     return {
-      accessToken,
+      accessToken: generateAccessToken(user._id, user.email, session._id),
+      refreshToken: nextRefreshToken,
       user: this.sanitizeUser(user),
     };
   }
 
+  /**
+   * Logout: revoke the session the access token belongs to
+   */
+  async logout(userId, sessionId) {
+    // Tokens issued before sessions existed have nothing to revoke
+    if (sessionId) {
+      await sessionService.revokeSession(userId, sessionId, "logout");
+    }
+  }
+
+  /**
+   * Lift a lockout with the link from the lock email
+   */
+  async unlockAccount(token) {
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const email = await cacheService.consumeUnlockToken(tokenHash);
+
+    if (!email) {
+      throw new BadRequestError("Invalid or expired unlock link");
+    }
+
+    await cacheService.clearFailedLogins(email);
+
+    return { message: "Account unlocked, you can log in again" };
+  }
+
+  // ============ BRUTE-FORCE PROTECTION ============
+
+  /**
+   * Refuse login attempts while an email is waiting out a delay or a
+   * lockout, and all of them while locks can't be checked
+   */
+  async assertLoginAllowed(email) {
+    const lock = await cacheService.getLoginLock(email);
+    if (!lock) return;
+
+    // Fail closed: without the lock store guesses would go unthrottled
+    if (lock.reason === "unavailable") {
+      throw new TooManyRequestsError(
+        "Login is temporarily unavailable. Please try again shortly",
+        "LOGIN_UNAVAILABLE",
+        LOGIN_UNAVAILABLE_RETRY_SECONDS
+      );
+    }
+
+    const retryAfter = Math.ceil(lock.ttl / 1000);
+
+    if (lock.reason === "locked") {
+      throw new TooManyRequestsError(
+        "Too many failed login attempts. This account is temporarily locked",
+        "ACCOUNT_LOCKED",
+        retryAfter
+      );
+    }
+
+    throw new TooManyRequestsError(
+      `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+      "LOGIN_THROTTLED",
+      retryAfter
+    );
+  }
+
+  /**
+   * Count a failed attempt: after a few free ones each failure doubles the
+   * wait before the next try, and enough of them lock the account
+   */
+  async recordLoginFailure(email, user = null) {
+    const failures = await cacheService.recordFailedLogin(
+      email,
+      FAILURE_WINDOW_SECONDS
+    );
+
+    // Not counted; assertLoginAllowed refuses logins until the store is back
+    if (failures === null) return;
+
+    if (failures >= LOCKOUT_THRESHOLD) {
+      await cacheService.setLoginLock(email, "locked", LOCKOUT_SECONDS * 1000);
+      await this.notifyAccountLocked(email, user);
+      return;
+    }
+
+    if (failures > FREE_LOGIN_ATTEMPTS) {
+      const delaySeconds = Math.min(
+        2 ** (failures - FREE_LOGIN_ATTEMPTS - 1),
+        MAX_LOGIN_DELAY_SECONDS
+      );
+      await cacheService.setLoginLock(email, "delay", delaySeconds * 1000);
+    }
+  }
+
+  /**
+   * Email the owner of a locked account a link to unlock it
+   * (nothing is sent for emails without an account)
+   */
+  async notifyAccountLocked(email, user) {
+    const owner = user || (await User.findOne({ email }).select("username"));
+    if (!owner) return;
+
+    const unlockToken = crypto.randomBytes(32).toString("hex");
+    const tokenHash = crypto
+      .createHash("sha256")
+      .update(unlockToken)
+      .digest("hex");
+
+    await cacheService.storeUnlockToken(tokenHash, email, LOCKOUT_SECONDS);
+
+    try {
+      await emailService.sendAccountLockedEmail(
+        email,
+        unlockToken,
+        owner.username,
+        LOCKOUT_SECONDS / 60
+      );
+    } catch (error) {
+      // The lock holds either way
+      console.error("Account locked email failed:", error);
+    }
+  }
+
+  // ============ SESSIONS ============
+
+  /**
+   * Start a session (refresh-token family) and issue its first tokens
+   */
+  async createSession(user, client) {
+    const session = new Session({
+      user: user._id,
+      ...sessionService.describeDevice(client),
+    });
+    session.tokenId = crypto.randomUUID();
+
+    const refreshToken = generateRefreshToken(
+      user._id,
+      session._id,
+      session.tokenId
+    );
+    session.expiresAt = getTokenExpiry(refreshToken);
+    await session.save();
+
+    return {
+      accessToken: generateAccessToken(user._id, user.email, session._id),
+      refreshToken,
+    };
+  }
+
+  /**
+   * A refresh token that wasn't its session's current one: either the
+   * session is already gone, or an older token was replayed, in which
+   * case someone else holds a copy and the session is revoked
+   */
+  async rejectStaleRefreshToken(decoded) {
+    const revoked = await sessionService.revokeSession(
+      decoded.userId,
+      decoded.sessionId,
+      "reuse"
+    );
+
+    if (revoked) {
+      console.warn(
+        `🚨 Refresh token reuse detected, revoked session ${decoded.sessionId}`
+      );
+      throw new UnauthorizedError(
+        "Refresh token has already been used, please log in again",
+        "REFRESH_TOKEN_REUSED"
+      );
+    }
+
+    throw new UnauthorizedError(
+      "Session has been revoked, please log in again",
+      "SESSION_REVOKED"
+    );
+  }
+
   /**
    * Remove sensitive fields from user object
    */
@@ -120,6 +420,7 @@ export class AuthService {
       avatar: userObj.avatar,
       status: userObj.status,
       about: userObj.about,
+      emailVerified: userObj.emailVerified,
     };
   }
 }
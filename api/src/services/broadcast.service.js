@@ -0,0 +1,262 @@
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/user.js";
+import { messageService } from "./message.service.js";
+import { conversationService } from "./conversation.service.js";
+import { emailVerificationService } from "./emailVerification.service.js";
+import { NotFoundError, BadRequestError } from "../utils/AppError.js";
+
+const MAX_BROADCAST_RECIPIENTS = 256;
+
+/**
+ * Broadcast Service
+ * A broadcast list is a "broadcast" conversation owned by one user. Each
+ * message sent to it is copied into the owner's direct chat with every
+ * recipient, so replies stay private.
+ */
+export class BroadcastService {
+  /**
+   * Create a broadcast list
+   */
+  async createList(ownerId, { name, recipientIds }) {
+    const recipients = await this.validateRecipients(ownerId, recipientIds);
+
+    const list = await Conversation.create({
+      type: "broadcast",
+      participants: [{ user: ownerId, role: "owner" }],
+      broadcast: { name: name || null, recipients },
+      createdBy: ownerId,
+    });
+
+    await list.populate("broadcast.recipients", "displayName avatar username");
+
+    return list;
+  }
+
+  /**
+   * Get the owner's broadcast lists
+   */
+  async getLists(ownerId) {
+    return Conversation.find({
+      type: "broadcast",
+      createdBy: ownerId,
+      isDeleted: false,
+    })
+      .populate("broadcast.recipients", "displayName avatar username")
+      .sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Get a single broadcast list
+   */
+  async getList(listId, ownerId) {
+    const list = await this.getOwnList(listId, ownerId);
+
+    await list.populate("broadcast.recipients", "displayName avatar username");
+
+    return list;
+  }
+
+  /**
+   * Rename a list or replace its recipients
+   */
+  async updateList(listId, ownerId, { name, recipientIds }) {
+    const list = await this.getOwnList(listId, ownerId);
+
+    if (name !== undefined) {
+      list.broadcast.name = name || null;
+    }
+
+    if (recipientIds !== undefined) {
+      list.broadcast.recipients = await this.validateRecipients(
+        ownerId,
+        recipientIds
+      );
+    }
+
+    await list.save();
+    await list.populate("broadcast.recipients", "displayName avatar username");
+
+    return list;
+  }
+
+  /**
+   * Delete a broadcast list (copies already delivered stay in the chats)
+   */
+  async deleteList(listId, ownerId) {
+    const list = await this.getOwnList(listId, ownerId);
+
+    list.isDeleted = true;
+    await list.save();
+
+    return {
+      message: "Broadcast list deleted",
+    };
+  }
+
+  /**
+   * Send a message to every recipient's direct chat with the owner
+   * Recipients who blocked the owner are skipped
+   */
+  async sendToList(listId, ownerId, { content, type = "text" }) {
+    const list = await this.getOwnList(listId, ownerId);
+    const senderId = ownerId.toString();
+
+    const blockers = await User.find({
+      _id: { $in: list.broadcast.recipients },
+      "blockedUsers.user": ownerId,
+    })
+      .select("_id")
+      .lean();
+    const skipped = blockers.map((user) => user._id.toString());
+
+    const recipientIds = list.broadcast.recipients
+      .map((id) => id.toString())
+      .filter((id) => !skipped.includes(id));
+
+    // Check every recipient before anything is sent, not partway through
+    await emailVerificationService.assertCanMessage(senderId, recipientIds);
+
+    // The owner's own record of the broadcast, kept in the list chat
+    const message = await messageService.createMessage({
+      senderId,
+      conversationId: list._id,
+      content,
+      type,
+      metadata: {
+        broadcast: { recipientCount: recipientIds.length, skipped },
+      },
+    });
+
+    const deliveries = [];
+    for (const recipientId of recipientIds) {
+      const conversation = await conversationService.createConversation({
+        creatorId: senderId,
+        participantIds: [senderId, recipientId],
+        type: "direct",
+      });
+      // New chats come back populated; fan-out needs plain participant IDs
+      conversation.depopulate("participants.user");
+
+      const copy = await messageService.createMessage({
+        senderId,
+        conversationId: conversation._id,
+        content,
+        type,
+        metadata: {
+          broadcastId: list._id,
+          broadcastMessageId: message._id,
+          broadcastRecipientId: recipientId,
+        },
+      });
+
+      deliveries.push({ conversation, message: copy });
+    }
+
+    return { list, message, deliveries, skipped };
+  }
+
+  /**
+   * Aggregated delivered/seen report for one broadcast message
+   */
+  async getDeliveryReport(listId, ownerId, messageId) {
+    const list = await this.getOwnList(listId, ownerId);
+
+    const message = await Message.findOne({
+      _id: messageId,
+      conversationId: list._id,
+    })
+      .select("metadata createdAt")
+      .lean();
+
+    if (!message) {
+      throw new NotFoundError("Message not found");
+    }
+
+    // Only the copies this broadcast created, not later forwards of them
+    const copies = await Message.find({
+      "metadata.broadcastMessageId": message._id,
+      "metadata.broadcastId": list._id,
+      "metadata.forwarded": { $ne: true },
+    })
+      .select("conversationId metadata.broadcastRecipientId deliveredTo seenBy")
+      .lean();
+
+    const recipients = copies.map((copy) => {
+      const recipientId = copy.metadata.broadcastRecipientId;
+      const seen = copy.seenBy.find((s) => s.userId.toString() === recipientId);
+      const delivered = copy.deliveredTo.find(
+        (d) => d.userId.toString() === recipientId
+      );
+
+      return {
+        userId: recipientId,
+        conversationId: copy.conversationId,
+        messageId: copy._id,
+        status: seen ? "seen" : delivered ? "delivered" : "sent",
+        deliveredAt: delivered?.timestamp || seen?.timestamp || null,
+        seenAt: seen?.timestamp || null,
+      };
+    });
+
+    const seenCount = recipients.filter((r) => r.status === "seen").length;
+    const deliveredCount = recipients.filter((r) => r.status !== "sent").length;
+
+    return {
+      messageId: message._id,
+      sentAt: message.createdAt,
+      total: recipients.length,
+      delivered: deliveredCount,
+      seen: seenCount,
+      pending: recipients.length - deliveredCount,
+      skipped: message.metadata?.broadcast?.skipped || [],
+      recipients,
+    };
+  }
+
+  /**
+   * Load a list owned by the user
+   */
+  async getOwnList(listId, ownerId) {
+    const list = await Conversation.findOne({
+      _id: listId,
+      type: "broadcast",
+      createdBy: ownerId,
+      isDeleted: false,
+    });
+
+    if (!list) {
+      throw new NotFoundError("Broadcast list not found");
+    }
+
+    return list;
+  }
+
+  /**
+   * Dedupe recipients, drop the owner and make sure every user exists
+   */
+  async validateRecipients(ownerId, recipientIds = []) {
+    const unique = [...new Set(recipientIds.map(String))].filter(
+      (id) => id !== ownerId.toString()
+    );
+
+    if (unique.length === 0) {
+      throw new BadRequestError("Add at least one recipient");
+    }
+
+    if (unique.length > MAX_BROADCAST_RECIPIENTS) {
+      throw new BadRequestError(
+        `Broadcast lists can have at most ${MAX_BROADCAST_RECIPIENTS} recipients`
+      );
+    }
+
+    const found = await User.countDocuments({ _id: { $in: unique } });
+    if (found !== unique.length) {
+      throw new BadRequestError("One or more recipients do not exist");
+    }
+
+    return unique;
+  }
+}
+
+export const broadcastService = new BroadcastService();
@@ -17,6 +17,11 @@ class CacheService {
       MESSAGE_COUNT: 60 * 10, // 10 minutes
       TYPING_STATUS: 5, // 5 seconds
       RATE_LIMIT: 60 * 15, // 15 minutes
+      LINK_PREVIEW: 60 * 60 * 24, // 24 hours
+      LINK_PREVIEW_MISS: 60 * 10, // 10 minutes
+      INBOX_PAGE: 60 * 5, // 5 minutes
+      INBOX_VERSION: 60 * 60 * 24, // 24 hours
+      SESSION_STATUS: 60, // 1 minute
     };
   }
 
@@ -154,6 +159,344 @@ class CacheService {
     }
   }
 
+  // =============== LINK PREVIEW CACHING ===============
+
+  /**
+   * Cache a link preview (null caches the miss for a shorter time)
+   */
+  async cacheLinkPreview(url, preview) {
+    const key = `linkpreview:${url}`;
+    try {
+      await this.redis.setex(
+        key,
+        preview ? this.TTL.LINK_PREVIEW : this.TTL.LINK_PREVIEW_MISS,
+        JSON.stringify(preview || { unavailable: true })
+      );
+      return true;
+    } catch (error) {
+      console.error("Cache link preview error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get cached link preview
+   */
+  async getLinkPreview(url) {
+    const key = `linkpreview:${url}`;
+    try {
+      const data = await this.redis.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error("Get cached link preview error:", error);
+      return null;
+    }
+  }
+
+  // =============== INBOX CACHING ===============
+  // Pages are keyed by a per-user version; bumping it orphans every cached
+  // page at once and the old keys simply expire
+
+  /**
+   * Get the current inbox version for a user
+   */
+  async getInboxVersion(userId) {
+    try {
+      return (await this.redis.get(`inbox:version:${userId}`)) || "0";
+    } catch (error) {
+      console.error("Get inbox version error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache one inbox page
+   */
+  async cacheInboxPage(userId, version, pageKey, page) {
+    const key = `inbox:${userId}:${version}:${pageKey}`;
+    try {
+      await this.redis.setex(key, this.TTL.INBOX_PAGE, JSON.stringify(page));
+      return true;
+    } catch (error) {
+      console.error("Cache inbox page error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached inbox page
+   */
+  async getInboxPage(userId, version, pageKey) {
+    const key = `inbox:${userId}:${version}:${pageKey}`;
+    try {
+      const data = await this.redis.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error("Get cached inbox page error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Invalidate the inbox of every given user
+   */
+  async invalidateInbox(userIds) {
+    const ids = [...new Set([].concat(userIds).map(String))];
+    if (ids.length === 0) return true;
+
+    const pipeline = this.redis.pipeline();
+    ids.forEach((userId) => {
+      pipeline.incr(`inbox:version:${userId}`);
+      pipeline.expire(`inbox:version:${userId}`, this.TTL.INBOX_VERSION);
+    });
+
+    try {
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      console.error("Invalidate inbox error:", error);
+      return false;
+    }
+  }
+
+  // =============== GROUP MODERATION ===============
+
+  /**
+   * Time a member out of a group until the given date (the key expires
+   * with the timeout)
+   */
+  async setMemberTimeout(conversationId, userId, until) {
+    const key = `timeout:${conversationId}:${userId}`;
+    try {
+      const ttl = new Date(until).getTime() - Date.now();
+      await this.redis.set(key, new Date(until).toISOString(), "PX", ttl);
+      return true;
+    } catch (error) {
+      console.error("Set member timeout error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Lift a member's timeout
+   */
+  async clearMemberTimeout(conversationId, userId) {
+    try {
+      await this.redis.del(`timeout:${conversationId}:${userId}`);
+      return true;
+    } catch (error) {
+      console.error("Clear member timeout error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Milliseconds left on a member's timeout (0 when not timed out, null
+   * when Redis can't say)
+   */
+  async getMemberTimeout(conversationId, userId) {
+    try {
+      const ttl = await this.redis.pttl(`timeout:${conversationId}:${userId}`);
+      return Math.max(ttl, 0);
+    } catch (error) {
+      console.error("Get member timeout error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Count a message against a member's slow-mode window
+   * Returns 0 when the message may go out, otherwise the milliseconds
+   * until the window reopens
+   */
+  async consumeSlowMode(conversationId, userId, intervalSeconds) {
+    const key = `slowmode:${conversationId}:${userId}`;
+    try {
+      const [[, count], [, ttl]] = await this.redis
+        .multi()
+        .incr(key)
+        .pttl(key)
+        .exec();
+
+      // First message in the window starts the clock
+      if (count === 1 || ttl < 0) {
+        await this.redis.pexpire(key, intervalSeconds * 1000);
+        return 0;
+      }
+
+      return ttl;
+    } catch (error) {
+      console.error("Consume slow mode error:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Give back a slow-mode message that was counted but never stored
+   */
+  async releaseSlowMode(conversationId, userId) {
+    const key = `slowmode:${conversationId}:${userId}`;
+    try {
+      const count = await this.redis.decr(key);
+      if (count <= 0) {
+        await this.redis.del(key);
+      }
+      return true;
+    } catch (error) {
+      console.error("Release slow mode error:", error);
+      return false;
+    }
+  }
+
+  // =============== LOGIN PROTECTION ===============
+
+  /**
+   * Count a failed login for an email; the count resets once no failure
+   * has happened for windowSeconds. Null when it couldn't be counted
+   */
+  async recordFailedLogin(email, windowSeconds) {
+    const key = `login:failures:${email}`;
+    try {
+      const [[, count]] = await this.redis
+        .multi()
+        .incr(key)
+        .expire(key, windowSeconds)
+        .exec();
+      return count;
+    } catch (error) {
+      console.error("Record failed login error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget an email's failed logins and any lock on it
+   */
+  async clearFailedLogins(email) {
+    try {
+      await this.redis.del(`login:failures:${email}`, `login:lock:${email}`);
+      return true;
+    } catch (error) {
+      console.error("Clear failed logins error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Block logins for an email; reason is "delay" for the short waits
+   * between failures or "locked" for a lockout
+   */
+  async setLoginLock(email, reason, ms) {
+    try {
+      await this.redis.set(`login:lock:${email}`, reason, "PX", ms);
+      return true;
+    } catch (error) {
+      console.error("Set login lock error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Current lock on an email as { reason, ttl } in ms, or null; the reason
+   * is "unavailable" when the lock couldn't be read
+   */
+  async getLoginLock(email) {
+    const key = `login:lock:${email}`;
+    try {
+      const [[, reason], [, ttl]] = await this.redis
+        .multi()
+        .get(key)
+        .pttl(key)
+        .exec();
+      return reason && ttl > 0 ? { reason, ttl } : null;
+    } catch (error) {
+      console.error("Get login lock error:", error);
+      return { reason: "unavailable", ttl: null };
+    }
+  }
+
+  /**
+   * Remember which email an unlock link (stored as its hash) is for
+   */
+  async storeUnlockToken(tokenHash, email, seconds) {
+    try {
+      await this.redis.setex(`login:unlock:${tokenHash}`, seconds, email);
+      return true;
+    } catch (error) {
+      console.error("Store unlock token error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Use up an unlock link; returns its email or null
+   */
+  async consumeUnlockToken(tokenHash) {
+    const key = `login:unlock:${tokenHash}`;
+    try {
+      const [[, email]] = await this.redis.multi().get(key).del(key).exec();
+      return email;
+    } catch (error) {
+      console.error("Consume unlock token error:", error);
+      return null;
+    }
+  }
+
+  // =============== SESSIONS ===============
+
+  /**
+   * Cache whether a login session is still active (checked on every request)
+   */
+  async cacheSessionActive(sessionId, active) {
+    const key = `session:active:${sessionId}`;
+    try {
+      await this.redis.setex(key, this.TTL.SESSION_STATUS, active ? "1" : "0");
+      return true;
+    } catch (error) {
+      console.error("Cache session status error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get cached session status (true/false, or null when not cached)
+   */
+  async getSessionActive(sessionId) {
+    const key = `session:active:${sessionId}`;
+    try {
+      const data = await this.redis.get(key);
+      return data === null ? null : data === "1";
+    } catch (error) {
+      console.error("Get cached session status error:", error);
+      return null;
+    }
+  }
+
+  // =============== EMAIL VERIFICATION ===============
+
+  /**
+   * Start a user's cooldown between verification emails
+   * Returns 0 when an email may be sent, otherwise the milliseconds left
+   */
+  async consumeVerificationResend(userId, cooldownSeconds) {
+    const key = `verify:resend:${userId}`;
+    try {
+      const started = await this.redis.set(
+        key,
+        "1",
+        "EX",
+        cooldownSeconds,
+        "NX"
+      );
+      if (started) return 0;
+
+      return Math.max(await this.redis.pttl(key), 0);
+    } catch (error) {
+      console.error("Consume verification resend error:", error);
+      return 0;
+    }
+  }
+
   // =============== PRESENCE CACHING ===============
 
   /**
@@ -0,0 +1,529 @@
+import Community from "../models/Community.js";
+import Conversation from "../models/Conversation.js";
+import User from "../models/user.js";
+import { groupService } from "./group.service.js";
+import { cacheService } from "./cache.service.js";
+import { emailVerificationService } from "./emailVerification.service.js";
+import {
+  NotFoundError,
+  ForbiddenError,
+  BadRequestError,
+  ConflictError,
+} from "../utils/AppError.js";
+
+const MAX_COMMUNITY_GROUPS = 50;
+const DEFAULT_DIRECTORY_LIMIT = 50;
+const MAX_DIRECTORY_LIMIT = 100;
+const MEMBER_FIELDS = "username displayName avatar";
+
+/**
+ * Community Service
+ * A community groups related group conversations under one roof: an
+ * announcement-only channel every member is in, a member directory, and
+ * sub-groups members can join. Community admins moderate every group in
+ * the community (see Conversation.can).
+ */
+export class CommunityService {
+  /**
+   * Create a community with its announcement channel, optionally bringing
+   * in groups the creator already administers
+   */
+  async createCommunity(
+    userId,
+    { name, description = "", isPublic = false, groupIds = [] }
+  ) {
+    await emailVerificationService.assertCanCreateGroups(userId);
+
+    const groups = await this.getGroupsToLink(userId, groupIds);
+
+    const community = new Community({
+      name,
+      description,
+      isPublic,
+      members: [{ user: userId, role: "owner" }],
+      groups: groups.map((g) => g._id),
+      createdBy: userId,
+    });
+
+    const channel = await Conversation.create({
+      type: "group",
+      group: {
+        name: `${name} · Announcements`,
+        description,
+        createdBy: userId,
+      },
+      participants: [{ user: userId, role: "owner" }],
+      settings: { permissions: { sendMessages: "admins" } },
+      community: community._id,
+      communityAdmins: [userId],
+      createdBy: userId,
+    });
+
+    community.announcementChannel = channel._id;
+    await community.save();
+
+    await Conversation.updateMany(
+      { _id: { $in: community.groups } },
+      { $set: { community: community._id } }
+    );
+    await this.syncAdmins(community);
+    await cacheService.invalidateInbox(userId);
+
+    return this.getCommunity(community._id, userId);
+  }
+
+  /**
+   * Communities the user belongs to
+   */
+  async getUserCommunities(userId) {
+    const communities = await Community.find({
+      "members.user": userId,
+      isDeleted: false,
+    })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    return communities.map((community) => ({
+      _id: community._id,
+      name: community.name,
+      description: community.description,
+      avatar: community.avatar?.url || null,
+      isPublic: community.isPublic,
+      announcementChannel: community.announcementChannel,
+      groupCount: community.groups.length,
+      memberCount: community.members.length,
+      role: community.members.find(
+        (m) => m.user.toString() === userId.toString()
+      ).role,
+    }));
+  }
+
+  /**
+   * Community details with its groups; non-members only see public ones
+   */
+  async getCommunity(communityId, userId) {
+    const community = await Community.findOne({
+      _id: communityId,
+      isDeleted: false,
+    });
+
+    if (!community || (!community.isPublic && !community.isMember(userId))) {
+      throw new NotFoundError("Community not found");
+    }
+
+    const groups = await Conversation.find({
+      _id: { $in: community.groups },
+      isDeleted: false,
+    })
+      .select("group.name group.description group.avatar participants.user")
+      .lean();
+
+    return {
+      _id: community._id,
+      name: community.name,
+      description: community.description,
+      avatar: community.avatar?.url || null,
+      isPublic: community.isPublic,
+      announcementChannel: community.announcementChannel,
+      memberCount: community.members.length,
+      role: community.getMember(userId)?.role || null,
+      groups: groups.map((group) => ({
+        _id: group._id,
+        name: group.group?.name,
+        description: group.group?.description,
+        avatar: group.group?.avatar?.url || null,
+        memberCount: group.participants.length,
+        isMember: group.participants.some(
+          (p) => p.user.toString() === userId.toString()
+        ),
+      })),
+      createdBy: community.createdBy,
+      createdAt: community.createdAt,
+    };
+  }
+
+  // ============ MEMBERSHIP ============
+
+  /**
+   * Join a public community (and its announcement channel)
+   */
+  async joinCommunity(communityId, userId) {
+    const community = await Community.findOne({
+      _id: communityId,
+      isDeleted: false,
+    });
+
+    if (!community || (!community.isPublic && !community.isMember(userId))) {
+      throw new NotFoundError("Community not found");
+    }
+
+    if (community.isMember(userId)) {
+      throw new BadRequestError("You are already a member of this community");
+    }
+
+    community.members.push({ user: userId, role: "member" });
+    await community.save();
+
+    await this.joinChannel(community, userId);
+
+    return {
+      message: "Joined community successfully",
+      communityId: community._id,
+      announcementChannel: community.announcementChannel,
+    };
+  }
+
+  /**
+   * Add users to a community (admins only; the way into private ones)
+   */
+  async addMembers(communityId, adminId, userIds) {
+    const community = await this.getCommunityForAdmin(
+      communityId,
+      adminId,
+      "Only community admins can add members"
+    );
+
+    const users = await User.find({ _id: { $in: userIds } }).select(
+      MEMBER_FIELDS
+    );
+
+    const addedUsers = users.filter((user) => !community.isMember(user._id));
+    for (const user of addedUsers) {
+      community.members.push({ user: user._id, role: "member" });
+    }
+    await community.save();
+
+    for (const user of addedUsers) {
+      await this.joinChannel(community, user._id);
+    }
+
+    return {
+      message: "Members added successfully",
+      addedUsers,
+    };
+  }
+
+  /**
+   * Leave a community and its announcement channel (sub-groups are kept)
+   */
+  async leaveCommunity(communityId, userId) {
+    const community = await this.getCommunityForMember(communityId, userId);
+
+    if (community.isOwner(userId)) {
+      throw new BadRequestError("The owner can't leave the community");
+    }
+
+    const wasAdmin = community.isAdmin(userId);
+
+    community.members = community.members.filter(
+      (m) => m.user.toString() !== userId.toString()
+    );
+    await community.save();
+
+    await Conversation.updateOne(
+      { _id: community.announcementChannel },
+      { $pull: { participants: { user: userId } } }
+    );
+    await cacheService.invalidateInbox(userId);
+
+    if (wasAdmin) {
+      await this.syncAdmins(community);
+    }
+
+    return {
+      message: "Left community successfully",
+      announcementChannel: community.announcementChannel,
+    };
+  }
+
+  /**
+   * Member directory, optionally filtered by name
+   */
+  async getMembers(communityId, userId, { q, limit, offset = 0 } = {}) {
+    const community = await this.getCommunityForMember(communityId, userId);
+
+    await community.populate("members.user", MEMBER_FIELDS);
+
+    const search = q?.trim().toLowerCase();
+    const members = community.members.filter(
+      (m) =>
+        m.user &&
+        (!search ||
+          m.user.username?.toLowerCase().includes(search) ||
+          m.user.displayName?.toLowerCase().includes(search))
+    );
+
+    const pageSize = Math.min(
+      limit || DEFAULT_DIRECTORY_LIMIT,
+      MAX_DIRECTORY_LIMIT
+    );
+
+    return {
+      members: members.slice(offset, offset + pageSize),
+      total: members.length,
+      hasMore: offset + pageSize < members.length,
+    };
+  }
+
+  /**
+   * Make a member a community admin or take it away (owner only)
+   * Admins moderate every group in the community and post announcements
+   */
+  async setMemberRole(communityId, ownerId, targetUserId, role) {
+    const community = await this.getCommunityForMember(communityId, ownerId);
+
+    if (!community.isOwner(ownerId)) {
+      throw new ForbiddenError("Only the community owner can change roles");
+    }
+
+    const member = community.getMember(targetUserId);
+    if (!member) {
+      throw new BadRequestError("User is not a member of this community");
+    }
+
+    if (member.role === "owner") {
+      throw new BadRequestError("Cannot change the community owner's role");
+    }
+
+    member.role = role;
+    await community.save();
+
+    // Only admins may post in the announcement channel
+    await Conversation.updateOne(
+      {
+        _id: community.announcementChannel,
+        "participants.user": targetUserId,
+      },
+      { $set: { "participants.$.role": role } }
+    );
+
+    await this.syncAdmins(community);
+
+    return {
+      message: "Community role updated",
+      userId: targetUserId,
+      role,
+    };
+  }
+
+  // ============ GROUPS ============
+
+  /**
+   * Start a new group inside the community (community admins only)
+   */
+  async createGroup(communityId, userId, { name, description = "" }) {
+    const community = await this.getCommunityForAdmin(
+      communityId,
+      userId,
+      "Only community admins can add groups"
+    );
+
+    this.assertGroupCapacity(community);
+    await emailVerificationService.assertCanCreateGroups(userId);
+
+    const group = await Conversation.create({
+      type: "group",
+      group: { name, description, createdBy: userId },
+      participants: [{ user: userId, role: "owner" }],
+      community: community._id,
+      communityAdmins: community.getAdminIds(),
+      createdBy: userId,
+    });
+
+    community.groups.push(group._id);
+    await community.save();
+    await cacheService.invalidateInbox(userId);
+
+    return group;
+  }
+
+  /**
+   * Bring an existing group into the community; the caller must
+   * administer both
+   */
+  async addGroup(communityId, userId, groupId) {
+    const community = await this.getCommunityForAdmin(
+      communityId,
+      userId,
+      "Only community admins can add groups"
+    );
+
+    this.assertGroupCapacity(community);
+
+    const [group] = await this.getGroupsToLink(userId, [groupId]);
+
+    community.groups.push(group._id);
+    await community.save();
+
+    await Conversation.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          community: community._id,
+          communityAdmins: community.getAdminIds(),
+        },
+      }
+    );
+
+    return {
+      message: "Group added to community",
+      groupId: group._id,
+    };
+  }
+
+  /**
+   * Join one of the community's groups straight from the community
+   * Groups that approve their members get a join request instead
+   */
+  async joinGroup(communityId, userId, groupId) {
+    const community = await this.getCommunityForMember(communityId, userId);
+
+    if (!community.groups.some((id) => id.toString() === groupId.toString())) {
+      throw new NotFoundError("Group not found in this community");
+    }
+
+    const group = await Conversation.findOne({
+      _id: groupId,
+      type: "group",
+      isDeleted: false,
+    });
+
+    if (!group) {
+      throw new NotFoundError("Group not found in this community");
+    }
+
+    if (group.isParticipant(userId)) {
+      throw new ConflictError("You are already a member of this group");
+    }
+
+    if (group.group.invite?.requiresApproval) {
+      return groupService.requestToJoin(group, userId, "community", {
+        via: "community",
+        communityId,
+      });
+    }
+
+    const joined = await Conversation.findOneAndUpdate(
+      {
+        _id: group._id,
+        "participants.user": { $ne: userId },
+        "group.invite.requiresApproval": { $ne: true },
+      },
+      { $push: { participants: { user: userId, role: "member" } } },
+      { new: true }
+    );
+
+    if (!joined) {
+      throw new ConflictError("You can no longer join this group directly");
+    }
+
+    await groupService.invalidateInboxes(joined);
+    await groupService.recordAudit(joined._id, userId, "member_joined", {
+      target: userId,
+      after: { role: "member", via: "community", communityId },
+    });
+
+    return {
+      status: "joined",
+      conversation: joined,
+    };
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Load a community the user belongs to
+   */
+  async getCommunityForMember(communityId, userId) {
+    const community = await Community.findOne({
+      _id: communityId,
+      isDeleted: false,
+    });
+
+    if (!community || !community.isMember(userId)) {
+      throw new NotFoundError("Community not found");
+    }
+
+    return community;
+  }
+
+  /**
+   * Load a community the user administers
+   */
+  async getCommunityForAdmin(communityId, userId, forbiddenMessage) {
+    const community = await this.getCommunityForMember(communityId, userId);
+
+    if (!community.isAdmin(userId)) {
+      throw new ForbiddenError(forbiddenMessage);
+    }
+
+    return community;
+  }
+
+  /**
+   * Check groups can join a community: the user administers them and
+   * they aren't in another community yet
+   */
+  async getGroupsToLink(userId, groupIds) {
+    if (groupIds.length === 0) return [];
+
+    const groups = await Conversation.find({
+      _id: { $in: groupIds },
+      type: "group",
+      isDeleted: false,
+    });
+
+    if (groups.length !== new Set(groupIds.map(String)).size) {
+      throw new NotFoundError("One or more groups were not found");
+    }
+
+    for (const group of groups) {
+      if (!group.hasAdminPrivileges(userId)) {
+        throw new ForbiddenError(
+          `You must be an admin of "${group.group?.name}" to add it`
+        );
+      }
+      if (group.community) {
+        throw new ConflictError(
+          `"${group.group?.name}" already belongs to a community`
+        );
+      }
+    }
+
+    return groups;
+  }
+
+  assertGroupCapacity(community) {
+    if (community.groups.length >= MAX_COMMUNITY_GROUPS) {
+      throw new BadRequestError(
+        `A community can have at most ${MAX_COMMUNITY_GROUPS} groups`
+      );
+    }
+  }
+
+  /**
+   * Add a member to the announcement channel
+   */
+  async joinChannel(community, userId) {
+    await Conversation.updateOne(
+      {
+        _id: community.announcementChannel,
+        "participants.user": { $ne: userId },
+      },
+      { $push: { participants: { user: userId, role: "member" } } }
+    );
+    await cacheService.invalidateInbox(userId);
+  }
+
+  /**
+   * Copy the community's admins onto every group it owns
+   */
+  async syncAdmins(community) {
+    await Conversation.updateMany(
+      { community: community._id },
+      { $set: { communityAdmins: community.getAdminIds() } }
+    );
+  }
+}
+
+export const communityService = new CommunityService();
@@ -1,30 +1,394 @@
 import Conversation from "../models/Conversation.js";
-import { NotFoundError, BadRequestError } from "../utils/AppError.js";
+import Message from "../models/Message.js";
+import User from "../models/user.js";
+import { messageService } from "./message.service.js";
+import { groupService } from "./group.service.js";
+import { cacheService } from "./cache.service.js";
+import { emailVerificationService } from "./emailVerification.service.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import {
+  queueMuteExpiry,
+  cancelMuteExpiry,
+} from "../queues/muteExpiryQueue.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} from "../utils/AppError.js";
+
+const CONVERSATION_FILTERS = ["all", "unread", "groups", "archived"];
+const MUTE_DURATIONS = {
+  "8h": 8 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+  forever: null,
+};
+const MAX_CHAT_FOLDERS = 20;
+const MAX_PINNED_CONVERSATIONS = 3;
+const DEFAULT_INBOX_LIMIT = 30;
+const MAX_INBOX_LIMIT = 100;
+const PREVIEW_LENGTH = 100;
+const INBOX_FIELDS =
+  "type participants group.name group.avatar broadcast.name lastMessage " +
+  "lastMessageAt unreadCount mentionCount settings.isEphemeral " +
+  "settings.messageTTL";
+
+const DURATION_UNITS = [
+  ["day", 24 * 60 * 60],
+  ["hour", 60 * 60],
+  ["minute", 60],
+];
+
+/**
+ * Human-readable timer for system messages ("7 days", "1 hour")
+ */
+const formatDuration = (seconds) => {
+  const [unit, size] =
+    DURATION_UNITS.find(([, size]) => seconds % size === 0) ||
+    DURATION_UNITS[DURATION_UNITS.length - 1];
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+};
+
+/**
+ * Inbox cursors point at the last unpinned chat of the previous page
+ */
+const encodeInboxCursor = (conversation) =>
+  Buffer.from(
+    JSON.stringify({
+      t: new Date(conversation.lastMessageAt).getTime(),
+      id: conversation._id.toString(),
+    })
+  ).toString("base64url");
+
+const decodeInboxCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isFinite(t) || !/^[0-9a-f]{24}$/i.test(id)) throw new Error();
+    return { lastMessageAt: new Date(t), id };
+  } catch {
+    throw new BadRequestError("Invalid cursor");
+  }
+};
+
+/**
+ * Trimmed last-message preview for the inbox
+ */
+const toPreview = (message, senders) => {
+  if (!message) return null;
+
+  const sender = senders.get(message.senderId.toString());
+  const content =
+    typeof message.content === "string" &&
+    message.content.length > PREVIEW_LENGTH
+      ? `${message.content.slice(0, PREVIEW_LENGTH - 1)}…`
+      : message.content;
+
+  return {
+    _id: message._id,
+    type: message.type,
+    content: message.isDeleted ? null : content,
+    sender: sender
+      ? { _id: sender._id, displayName: sender.displayName }
+      : { _id: message.senderId },
+    createdAt: message.createdAt,
+    status: message.status,
+    isDeleted: message.isDeleted,
+  };
+};
 
 export class ConversationService {
   /**
-   * Get user's conversations with pagination
+   * Get the user's inbox: pinned chats first, then newest activity, with
+   * cursor pagination
+   * filter: all (not archived) | unread | groups | archived, plus an
+   * optional custom folder. Pages are cached in Redis per user; presence
+   * is always read fresh
    */
   async getUserConversations(userId, options = {}) {
-    const { limit = 50, offset = 0 } = options;
+    const { cursor = null, filter = "all", folderId = null } = options;
+    const limit = Math.min(
+      Math.max(parseInt(options.limit) || DEFAULT_INBOX_LIMIT, 1),
+      MAX_INBOX_LIMIT
+    );
 
-    const conversations = await Conversation.find({
-      "participants.user": userId,
+    if (!CONVERSATION_FILTERS.includes(filter)) {
+      throw new BadRequestError(
+        `Filter must be one of ${CONVERSATION_FILTERS.join(", ")}`
+      );
+    }
+
+    const position = cursor ? decodeInboxCursor(cursor) : null;
+    const pageKey = `${filter}:${folderId || "-"}:${cursor || "first"}:${limit}`;
+
+    // No version means Redis is unavailable, so skip the cache entirely
+    const version = await cacheService.getInboxVersion(userId);
+    let page =
+      version !== null
+        ? await cacheService.getInboxPage(userId, version, pageKey)
+        : null;
+
+    if (!page) {
+      page = await this.buildInboxPage(userId, {
+        position,
+        limit,
+        filter,
+        folderId,
+      });
+
+      if (version !== null) {
+        await cacheService.cacheInboxPage(userId, version, pageKey, page);
+      }
+    }
+
+    return this.attachPresence(page);
+  }
+
+  /**
+   * Build one inbox page from MongoDB (everything except presence)
+   */
+  async buildInboxPage(userId, { position, limit, filter, folderId }) {
+    // Archive, pins and folders are per participant, so match on this
+    // user's own entry
+    const participantMatch = {
+      user: userId,
+      isArchived: filter === "archived" ? true : { $ne: true },
+    };
+    if (folderId) {
+      participantMatch.folders = folderId;
+    }
+
+    const query = { isDeleted: false };
+    if (filter === "unread") {
+      query[`unreadCount.${userId}`] = { $gt: 0 };
+    }
+    if (filter === "groups") {
+      query.type = "group";
+    }
+
+    // Pinned chats lead the first page and are never paged through
+    const pinned = position
+      ? []
+      : await Conversation.find({
+          ...query,
+          participants: { $elemMatch: { ...participantMatch, pinned: true } },
+        })
+          .select(INBOX_FIELDS)
+          .lean();
+
+    const unpinnedQuery = {
+      ...query,
+      participants: {
+        $elemMatch: { ...participantMatch, pinned: { $ne: true } },
+      },
+    };
+    if (position) {
+      unpinnedQuery.$or = [
+        { lastMessageAt: { $lt: position.lastMessageAt } },
+        { lastMessageAt: position.lastMessageAt, _id: { $lt: position.id } },
+      ];
+    }
+
+    const unpinned = await Conversation.find(unpinnedQuery)
+      .select(INBOX_FIELDS)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = unpinned.length > limit;
+    const rest = hasMore ? unpinned.slice(0, limit) : unpinned;
+
+    const ownEntry = (conversation) =>
+      conversation.participants.find(
+        (p) => p.user.toString() === userId.toString()
+      );
+    const otherUserId = (conversation) =>
+      conversation.type === "direct"
+        ? conversation.participants
+            .find((p) => p.user.toString() !== userId.toString())
+            ?.user.toString()
+        : null;
+
+    pinned.sort(
+      (a, b) =>
+        new Date(ownEntry(b).pinnedAt || 0) -
+        new Date(ownEntry(a).pinnedAt || 0)
+    );
+
+    const conversations = [...pinned, ...rest];
+    const previews = await this.getInboxPreviews(userId, conversations);
+
+    // Direct chats show the other user's name, avatar and presence
+    const otherIds = conversations.map(otherUserId).filter(Boolean);
+    const senderIds = [...previews.values()]
+      .filter(Boolean)
+      .map((m) => m.senderId);
+
+    const users = await User.find({ _id: { $in: [...otherIds, ...senderIds] } })
+      .select("displayName username avatar privacy.lastSeen")
+      .lean();
+    const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+    // "contacts" last-seen privacy only lets the user's contacts see it
+    const contactsOnly = users
+      .filter((u) => u.privacy?.lastSeen === "contacts")
+      .map((u) => u._id);
+    const sharingWithMe = await User.find({
+      _id: { $in: contactsOnly },
+      contacts: userId,
     })
-      .populate("participants.user", "displayName avatar email username") // FIXED: Removed phone, added email and username
-      .populate({
-        path: "lastMessage",
-        select: "content senderId createdAt type",
-        populate: {
-          path: "senderId",
-          select: "displayName avatar username", // FIXED: Added username
-        },
+      .select("_id")
+      .lean();
+    const sharingIds = new Set(sharingWithMe.map((u) => u._id.toString()));
+
+    const showPresence = (user) => {
+      const setting = user.privacy?.lastSeen || "everyone";
+      if (setting === "everyone") return true;
+      return setting === "contacts" && sharingIds.has(user._id.toString());
+    };
+
+    const now = Date.now();
+
+    return {
+      conversations: conversations.map((conversation) => {
+        const me = ownEntry(conversation);
+        const otherId = otherUserId(conversation);
+        const other = otherId ? usersById.get(otherId) : null;
+        const isMuted =
+          Boolean(me.isMuted) &&
+          (!me.mutedUntil || new Date(me.mutedUntil).getTime() > now);
+
+        return {
+          _id: conversation._id,
+          type: conversation.type,
+          name: other
+            ? other.displayName
+            : conversation.type === "broadcast"
+              ? conversation.broadcast?.name || "Broadcast"
+              : conversation.group?.name || "Unnamed Group",
+          avatar: other ? other.avatar : conversation.group?.avatar || null,
+          otherUser: other
+            ? {
+                _id: other._id,
+                displayName: other.displayName,
+                username: other.username,
+                avatar: other.avatar,
+                showPresence: showPresence(other),
+              }
+            : null,
+          participantCount:
+            conversation.type === "group"
+              ? conversation.participants.length
+              : undefined,
+          lastMessage: toPreview(
+            previews.get(conversation._id.toString()),
+            usersById
+          ),
+          lastMessageAt: conversation.lastMessageAt,
+          unreadCount: conversation.unreadCount?.[userId.toString()] || 0,
+          mentionCount: conversation.mentionCount?.[userId.toString()] || 0,
+          isPinned: Boolean(me.pinned),
+          pinnedAt: me.pinnedAt || null,
+          isMuted,
+          mutedUntil: isMuted ? me.mutedUntil || null : null,
+          isArchived: Boolean(me.isArchived),
+          folders: me.folders || [],
+          settings: {
+            isEphemeral: Boolean(conversation.settings?.isEphemeral),
+            messageTTL: conversation.settings?.messageTTL || null,
+          },
+        };
+      }),
+      nextCursor: hasMore ? encodeInboxCursor(rest[rest.length - 1]) : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Latest message each chat should preview for this user
+   * Falls back past messages the user deleted for themselves or that expired
+   */
+  async getInboxPreviews(userId, conversations) {
+    const lastMessageIds = conversations
+      .map((c) => c.lastMessage)
+      .filter(Boolean);
+
+    const lastMessages = await Message.find({ _id: { $in: lastMessageIds } })
+      .select(
+        "type content senderId createdAt status isDeleted deletedFor expiresAt"
+      )
+      .lean();
+    const byId = new Map(lastMessages.map((m) => [m._id.toString(), m]));
+
+    const now = Date.now();
+    const isVisible = (message) =>
+      message &&
+      !message.deletedFor?.some((id) => id.toString() === userId.toString()) &&
+      !(message.expiresAt && new Date(message.expiresAt).getTime() <= now);
+
+    const previews = new Map();
+    for (const conversation of conversations) {
+      const key = conversation._id.toString();
+      const last = conversation.lastMessage
+        ? byId.get(conversation.lastMessage.toString())
+        : null;
+
+      if (isVisible(last)) {
+        previews.set(key, last);
+        continue;
+      }
+
+      // Rare path: one extra query for this chat only
+      const fallback = await Message.findOne({
+        conversationId: conversation._id,
+        deletedFor: { $ne: userId },
+        threadRoot: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
       })
-      .sort({ updatedAt: -1 })
-      .skip(offset)
-      .limit(limit);
+        .select("type content senderId createdAt status isDeleted")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      previews.set(key, fallback);
+    }
 
-    return conversations;
+    return previews;
+  }
+
+  /**
+   * Add live presence for direct chats whose other user shares it
+   */
+  async attachPresence(page) {
+    const visibleIds = page.conversations
+      .filter((c) => c.otherUser?.showPresence)
+      .map((c) => c.otherUser._id.toString());
+
+    const presence =
+      visibleIds.length > 0
+        ? await connectionManager.getBulkPresence(visibleIds)
+        : [];
+    const presenceById = new Map(presence.map((p) => [p.userId, p]));
+
+    return {
+      ...page,
+      conversations: page.conversations.map((conversation) => {
+        if (!conversation.otherUser) return conversation;
+
+        const { showPresence, ...otherUser } = conversation.otherUser;
+        const live = showPresence
+          ? presenceById.get(otherUser._id.toString())
+          : null;
+
+        return {
+          ...conversation,
+          otherUser: {
+            ...otherUser,
+            presence: live
+              ? { isOnline: live.isOnline, lastSeen: live.lastSeen }
+              : null,
+          },
+        };
+      }),
+    };
   }
 
   /**
@@ -55,19 +419,28 @@ export class ConversationService {
       if (existingConversation) {
         return existingConversation;
       }
+
+      await emailVerificationService.assertCanMessage(
+        creatorId,
+        participantIds
+      );
+    } else {
+      await emailVerificationService.assertCanCreateGroups(creatorId);
     }
 
     // Create conversation
     const conversation = await Conversation.create({
       type,
       name: type === "group" ? name : undefined,
+      group: type === "group" ? { name, createdBy: creatorId } : undefined,
       participants: participantIds.map((userId) => ({
         user: userId,
-        role: userId === creatorId ? "admin" : "member",
+        role: type === "group" && userId === creatorId ? "owner" : "member",
       })),
       createdBy: creatorId,
     });
     console.log("🚀 ~ ConversationService ~ createConversation ~ conversation:", conversation)
+    await cacheService.invalidateInbox(participantIds);
 
     // Populate user details - FIXED
     await conversation.populate(
@@ -116,12 +489,7 @@ export class ConversationService {
       throw new NotFoundError("Group conversation not found");
     }
 
-    // Check if user is admin
-    const userParticipant = conversation.participants.find(
-      (p) => p.user.toString() === userId.toString()
-    );
-
-    if (!userParticipant || userParticipant.role !== "admin") {
+    if (!conversation.can(userId, "addMembers")) {
       throw new BadRequestError("Only admins can add participants");
     }
 
@@ -156,12 +524,7 @@ export class ConversationService {
       throw new NotFoundError("Group conversation not found");
     }
 
-    // Check if user is admin
-    const userParticipant = conversation.participants.find(
-      (p) => p.user.toString() === userId.toString()
-    );
-
-    if (!userParticipant || userParticipant.role !== "admin") {
+    if (!conversation.can(userId, "removeMembers")) {
       throw new BadRequestError("Only admins can remove participants");
     }
 
@@ -174,6 +537,492 @@ export class ConversationService {
 
     return conversation;
   }
+
+  /**
+   * Pin a chat to the top of this user's inbox
+   */
+  async pinConversation(conversationId, userId) {
+    const pinnedCount = await Conversation.countDocuments({
+      _id: { $ne: conversationId },
+      isDeleted: false,
+      participants: { $elemMatch: { user: userId, pinned: true } },
+    });
+
+    if (pinnedCount >= MAX_PINNED_CONVERSATIONS) {
+      throw new BadRequestError(
+        `You can pin at most ${MAX_PINNED_CONVERSATIONS} chats`
+      );
+    }
+
+    const pinnedAt = new Date();
+    await this.updateOwnEntry(conversationId, userId, {
+      "participants.$.pinned": true,
+      "participants.$.pinnedAt": pinnedAt,
+    });
+
+    return { conversationId, isPinned: true, pinnedAt };
+  }
+
+  /**
+   * Unpin a chat from this user's inbox
+   */
+  async unpinConversation(conversationId, userId) {
+    await this.updateOwnEntry(conversationId, userId, {
+      "participants.$.pinned": false,
+      "participants.$.pinnedAt": null,
+    });
+
+    return { conversationId, isPinned: false, pinnedAt: null };
+  }
+
+  /**
+   * Archive or unarchive a chat for this user only
+   * Archiving also unpins it
+   */
+  async setArchived(conversationId, userId, archived) {
+    const archivedAt = archived ? new Date() : null;
+
+    await this.updateOwnEntry(conversationId, userId, {
+      "participants.$.isArchived": archived,
+      "participants.$.archivedAt": archivedAt,
+      ...(archived && {
+        "participants.$.pinned": false,
+        "participants.$.pinnedAt": null,
+      }),
+    });
+
+    return { conversationId, isArchived: archived, archivedAt };
+  }
+
+  /**
+   * Mute a chat for this user: "8h", "1w" or "forever"
+   * Timed mutes are lifted by the mute expiry queue
+   */
+  async muteConversation(conversationId, userId, duration) {
+    if (!Object.hasOwn(MUTE_DURATIONS, duration)) {
+      throw new BadRequestError(
+        `Mute duration must be one of ${Object.keys(MUTE_DURATIONS).join(", ")}`
+      );
+    }
+
+    const length = MUTE_DURATIONS[duration];
+    const mutedUntil = length ? new Date(Date.now() + length) : null;
+
+    await this.updateOwnEntry(conversationId, userId, {
+      "participants.$.isMuted": true,
+      "participants.$.mutedUntil": mutedUntil,
+    });
+
+    if (mutedUntil) {
+      await queueMuteExpiry(conversationId, userId, mutedUntil);
+    } else {
+      await cancelMuteExpiry(conversationId, userId);
+    }
+
+    return { conversationId, isMuted: true, mutedUntil };
+  }
+
+  /**
+   * Unmute a chat for this user
+   */
+  async unmuteConversation(conversationId, userId) {
+    await this.updateOwnEntry(conversationId, userId, {
+      "participants.$.isMuted": false,
+      "participants.$.mutedUntil": null,
+    });
+
+    await cancelMuteExpiry(conversationId, userId);
+
+    return { conversationId, isMuted: false, mutedUntil: null };
+  }
+
+  /**
+   * Lift a timed mute once it runs out (called by the mute expiry queue)
+   * Returns false when the mute was changed in the meantime
+   */
+  async expireMute(conversationId, userId, mutedUntil) {
+    const result = await Conversation.updateOne(
+      {
+        _id: conversationId,
+        participants: { $elemMatch: { user: userId, mutedUntil } },
+      },
+      {
+        $set: {
+          "participants.$.isMuted": false,
+          "participants.$.mutedUntil": null,
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    await cacheService.invalidateInbox(userId);
+    return true;
+  }
+
+  /**
+   * Get the user's chat folders with how many chats each holds
+   */
+  async getFolders(userId) {
+    const user = await User.findById(userId).select("+chatFolders").lean();
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const counts = await Conversation.aggregate([
+      { $match: { "participants.user": user._id } },
+      { $unwind: "$participants" },
+      { $match: { "participants.user": user._id } },
+      { $unwind: "$participants.folders" },
+      { $group: { _id: "$participants.folders", count: { $sum: 1 } } },
+    ]);
+    const countByFolder = new Map(
+      counts.map((c) => [c._id.toString(), c.count])
+    );
+
+    return (user.chatFolders || []).map((folder) => ({
+      ...folder,
+      conversationCount: countByFolder.get(folder._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Create a chat folder
+   */
+  async createFolder(userId, name) {
+    const user = await User.findById(userId).select("+chatFolders");
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (user.chatFolders.length >= MAX_CHAT_FOLDERS) {
+      throw new BadRequestError(
+        `You can have at most ${MAX_CHAT_FOLDERS} folders`
+      );
+    }
+
+    this.assertUniqueFolderName(user, name);
+
+    user.chatFolders.push({ name });
+    await user.save();
+
+    return user.chatFolders[user.chatFolders.length - 1];
+  }
+
+  /**
+   * Rename a chat folder
+   */
+  async renameFolder(userId, folderId, name) {
+    const user = await User.findById(userId).select("+chatFolders");
+    const folder = user?.chatFolders.id(folderId);
+    if (!folder) {
+      throw new NotFoundError("Folder not found");
+    }
+
+    this.assertUniqueFolderName(user, name, folderId);
+
+    folder.name = name;
+    await user.save();
+
+    return folder;
+  }
+
+  /**
+   * Delete a chat folder (its chats stay, they just leave the folder)
+   */
+  async deleteFolder(userId, folderId) {
+    const user = await User.findById(userId).select("+chatFolders");
+    const folder = user?.chatFolders.id(folderId);
+    if (!folder) {
+      throw new NotFoundError("Folder not found");
+    }
+
+    user.chatFolders.pull(folder._id);
+    await user.save();
+
+    await Conversation.updateMany(
+      { participants: { $elemMatch: { user: userId, folders: folder._id } } },
+      { $pull: { "participants.$[me].folders": folder._id } },
+      { arrayFilters: [{ "me.user": user._id }] }
+    );
+    await cacheService.invalidateInbox(userId);
+
+    return { message: "Folder deleted", folderId };
+  }
+
+  /**
+   * Add a chat to one of the user's folders
+   */
+  async addToFolder(conversationId, userId, folderId) {
+    await this.getOwnFolder(userId, folderId);
+
+    return this.updateFolders(conversationId, userId, {
+      $addToSet: { "participants.$.folders": folderId },
+    });
+  }
+
+  /**
+   * Remove a chat from one of the user's folders
+   */
+  async removeFromFolder(conversationId, userId, folderId) {
+    await this.getOwnFolder(userId, folderId);
+
+    return this.updateFolders(conversationId, userId, {
+      $pull: { "participants.$.folders": folderId },
+    });
+  }
+
+  /**
+   * Apply a folder update to the user's participant entry
+   */
+  async updateFolders(conversationId, userId, update) {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: conversationId, "participants.user": userId },
+      update,
+      { new: true }
+    ).select("participants");
+
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    await cacheService.invalidateInbox(userId);
+
+    return {
+      conversationId,
+      folders: conversation.getParticipant(userId).folders,
+    };
+  }
+
+  /**
+   * Set fields on the user's own participant entry
+   */
+  async updateOwnEntry(conversationId, userId, fields) {
+    const result = await Conversation.updateOne(
+      { _id: conversationId, "participants.user": userId },
+      { $set: fields }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    await cacheService.invalidateInbox(userId);
+  }
+
+  /**
+   * Load one of the user's folders
+   */
+  async getOwnFolder(userId, folderId) {
+    const user = await User.findById(userId).select("+chatFolders");
+    const folder = user?.chatFolders.id(folderId);
+    if (!folder) {
+      throw new NotFoundError("Folder not found");
+    }
+
+    return folder;
+  }
+
+  /**
+   * Folder names are unique per user (case-insensitive)
+   */
+  assertUniqueFolderName(user, name, exceptId = null) {
+    const taken = user.chatFolders.some(
+      (folder) =>
+        folder.name.toLowerCase() === name.trim().toLowerCase() &&
+        folder._id.toString() !== exceptId?.toString()
+    );
+
+    if (taken) {
+      throw new ConflictError("You already have a folder with that name");
+    }
+  }
+
+  /**
+   * Get pinned messages for a conversation
+   */
+  async getPinnedMessages(conversationId, userId) {
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      "participants.user": userId,
+    })
+      .select("pinnedMessages settings.maxPinnedMessages")
+      .populate({
+        path: "pinnedMessages.message",
+        select: "content type senderId media createdAt isDeleted deletedFor",
+        populate: { path: "senderId", select: "displayName avatar username" },
+      })
+      .populate("pinnedMessages.pinnedBy", "displayName avatar username");
+
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    // Hide pins the user deleted for themselves
+    const pinnedMessages = conversation.pinnedMessages.filter(
+      (pin) =>
+        pin.message &&
+        !pin.message.deletedFor.some(
+          (id) => id.toString() === userId.toString()
+        )
+    );
+
+    return {
+      pinnedMessages,
+      maxPinnedMessages: conversation.settings.maxPinnedMessages,
+    };
+  }
+
+  /**
+   * Pin a message (admins in groups, either participant in direct chats)
+   */
+  async pinMessage(conversationId, userId, messageId) {
+    const conversation = await this.getConversationForPins(
+      conversationId,
+      userId
+    );
+
+    const message = await Message.findOne({
+      _id: messageId,
+      conversationId,
+      isDeleted: false,
+    });
+
+    if (!message) {
+      throw new NotFoundError("Message not found");
+    }
+
+    if (conversation.isPinned(messageId)) {
+      throw new BadRequestError("Message is already pinned");
+    }
+
+    const { maxPinnedMessages } = conversation.settings;
+    if (conversation.pinnedMessages.length >= maxPinnedMessages) {
+      throw new BadRequestError(
+        `You can pin at most ${maxPinnedMessages} messages in this chat`
+      );
+    }
+
+    conversation.pinMessage(messageId, userId);
+    await conversation.save();
+
+    const systemMessage = await messageService.createMessage({
+      senderId: userId.toString(),
+      conversationId,
+      type: "system",
+      content: "pinned a message",
+      metadata: { event: "message:pinned", messageId },
+    });
+
+    return {
+      pin: conversation.pinnedMessages.find(
+        (p) => p.message.toString() === messageId.toString()
+      ),
+      systemMessage,
+      conversation,
+    };
+  }
+
+  /**
+   * Unpin a message
+   */
+  async unpinMessage(conversationId, userId, messageId) {
+    const conversation = await this.getConversationForPins(
+      conversationId,
+      userId
+    );
+
+    if (!conversation.isPinned(messageId)) {
+      throw new NotFoundError("Message is not pinned");
+    }
+
+    conversation.unpinMessage(messageId);
+    await conversation.save();
+
+    const systemMessage = await messageService.createMessage({
+      senderId: userId.toString(),
+      conversationId,
+      type: "system",
+      content: "unpinned a message",
+      metadata: { event: "message:unpinned", messageId },
+    });
+
+    return { messageId, systemMessage, conversation };
+  }
+
+  /**
+   * Turn disappearing messages on (TTL in seconds) or off (null)
+   * Only messages sent after the change get a timer
+   */
+  async setDisappearingMessages(conversationId, userId, messageTTL) {
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      "participants.user": userId,
+      isDeleted: false,
+    });
+
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    groupService.assertPermission(conversation, userId, "editInfo");
+
+    const isEphemeral = Boolean(messageTTL);
+    if (
+      conversation.settings.isEphemeral === isEphemeral &&
+      conversation.settings.messageTTL === (messageTTL || null)
+    ) {
+      throw new BadRequestError(
+        isEphemeral
+          ? "Disappearing messages already use this timer"
+          : "Disappearing messages are already off"
+      );
+    }
+
+    conversation.settings.isEphemeral = isEphemeral;
+    conversation.settings.messageTTL = messageTTL || null;
+    await conversation.save();
+
+    const systemMessage = await messageService.createMessage({
+      senderId: userId.toString(),
+      conversationId,
+      type: "system",
+      content: isEphemeral
+        ? `turned on disappearing messages. New messages will disappear after ${formatDuration(messageTTL)}`
+        : "turned off disappearing messages",
+      metadata: {
+        event: "conversation:disappearing",
+        messageTTL: conversation.settings.messageTTL,
+      },
+    });
+
+    return {
+      settings: {
+        isEphemeral: conversation.settings.isEphemeral,
+        messageTTL: conversation.settings.messageTTL,
+      },
+      systemMessage,
+      conversation,
+    };
+  }
+
+  /**
+   * Load a conversation and check the user may manage its pins
+   */
+  async getConversationForPins(conversationId, userId) {
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      "participants.user": userId,
+    });
+
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    groupService.assertPermission(conversation, userId, "pinMessages");
+
+    return conversation;
+  }
 }
 
 export const conversationService = new ConversationService();
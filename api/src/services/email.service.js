@@ -123,6 +123,62 @@ class EmailService {
       throw new Error("Failed to send verification email");
     }
   }
+
+  /**
+   * Tell a user their account was locked after failed logins
+   */
+  async sendAccountLockedEmail(email, unlockToken, username, lockMinutes) {
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: "Your Account Has Been Locked - Nimbus Chat",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #667eea; 
+                      color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #999; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Locked</h1>
+            </div>
+            <div class="content">
+              <p>Hi <strong>${username}</strong>,</p>
+              <p>There were too many failed attempts to log in to your Nimbus Chat account, so we've locked it for ${lockMinutes} minutes.</p>
+              <p>If this was you, you can unlock your account right away:</p>
+              <a href="${unlockUrl}" class="button">Unlock Account</a>
+              <p>If this wasn't you, someone may be trying to guess your password. We recommend changing it and turning on two-factor authentication.</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 Nimbus Chat. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Account locked email sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error("❌ Email send failed:", error);
+      throw new Error("Failed to send account locked email");
+    }
+  }
 }
 
 export const emailService = new EmailService();
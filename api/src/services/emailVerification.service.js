@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import User from "../models/user.js";
+import { cacheService } from "./cache.service.js";
+import { emailService } from "./email.service.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  TooManyRequestsError,
+  InternalError,
+} from "../utils/AppError.js";
+
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Everything an unverified account can be stopped from doing
+const RESTRICTIONS = ["message_strangers", "create_groups"];
+
+/**
+ * Email Verification Service
+ * Issues and checks verification links, and enforces what unverified
+ * accounts may not do
+ */
+export class EmailVerificationService {
+  /**
+   * Email the user a fresh verification link (to the pending address when
+   * they are changing it)
+   * Returns whether the email went out; callers decide if that's fatal
+   */
+  async sendVerification(user) {
+    const address = user.pendingEmail || user.email;
+    const verificationToken = user.generateEmailVerificationToken(address);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await emailService.sendVerificationEmail(
+        address,
+        verificationToken,
+        user.username
+      );
+      return true;
+    } catch (error) {
+      console.error("Verification email failed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Mark the email behind a verification link as verified, switching the
+   * account over to it if it was a pending change
+   */
+  async verify(token) {
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() },
+    }).select(
+      "+emailVerificationToken +emailVerificationExpires +emailVerificationAddress"
+    );
+
+    if (!user) {
+      throw new BadRequestError("Invalid or expired verification link");
+    }
+
+    // Links from before addresses were recorded can only be for the
+    // account email
+    const address =
+      user.emailVerificationAddress || (user.pendingEmail ? null : user.email);
+
+    // The link was for an address the account no longer uses or wants
+    if (address !== user.email && address !== user.pendingEmail) {
+      throw new BadRequestError("Invalid or expired verification link");
+    }
+
+    if (address === user.pendingEmail) {
+      // Someone may have registered the address in the meantime
+      const taken = await User.exists({
+        email: user.pendingEmail,
+        _id: { $ne: user._id },
+      });
+      if (taken) {
+        throw new BadRequestError("Email already registered");
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.emailVerificationAddress = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return { email: user.email, emailVerified: true };
+  }
+
+  /**
+   * Send the verification email again, at most once per cooldown
+   */
+  async resend(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (user.emailVerified && !user.pendingEmail) {
+      throw new BadRequestError("Email is already verified");
+    }
+
+    const wait = await cacheService.consumeVerificationResend(
+      userId,
+      RESEND_COOLDOWN_SECONDS
+    );
+    if (wait > 0) {
+      const retryAfter = Math.ceil(wait / 1000);
+      throw new TooManyRequestsError(
+        `Please wait ${retryAfter} seconds before requesting another email`,
+        "VERIFICATION_RESEND_LIMITED",
+        retryAfter
+      );
+    }
+
+    const sent = await this.sendVerification(user);
+    if (!sent) {
+      throw new InternalError("Failed to send verification email");
+    }
+
+    return { email: user.pendingEmail || user.email };
+  }
+
+  // ============ POLICY ============
+
+  /**
+   * What unverified accounts can't do, from the comma-separated
+   * UNVERIFIED_ACCOUNT_RESTRICTIONS ("none" lifts them all); everything
+   * is restricted by default
+   */
+  getRestrictions() {
+    const setting = process.env.UNVERIFIED_ACCOUNT_RESTRICTIONS;
+    if (!setting) return RESTRICTIONS;
+
+    return setting
+      .split(",")
+      .map((restriction) => restriction.trim())
+      .filter((restriction) => RESTRICTIONS.includes(restriction));
+  }
+
+  /**
+   * Unverified accounts may only start chats with people who are in
+   * their contacts or have them in theirs
+   */
+  async assertCanMessage(userId, targetUserIds) {
+    if (!this.getRestrictions().includes("message_strangers")) return;
+
+    const user = await User.findById(userId).select("emailVerified contacts");
+    if (!user || user.emailVerified) return;
+
+    const contacts = new Set(user.contacts.map((id) => id.toString()));
+    const others = [
+      ...new Set(targetUserIds.map((id) => id.toString())),
+    ].filter((id) => id !== userId.toString() && !contacts.has(id));
+
+    if (others.length === 0) return;
+
+    const knownBy = await User.countDocuments({
+      _id: { $in: others },
+      contacts: userId,
+    });
+
+    if (knownBy < others.length) {
+      throw new ForbiddenError(
+        "Verify your email address to message people who aren't your contacts",
+        "EMAIL_NOT_VERIFIED"
+      );
+    }
+  }
+
+  /**
+   * Unverified accounts may not create groups or communities
+   */
+  async assertCanCreateGroups(userId) {
+    if (!this.getRestrictions().includes("create_groups")) return;
+
+    const user = await User.findById(userId).select("emailVerified");
+    if (user && !user.emailVerified) {
+      throw new ForbiddenError(
+        "Verify your email address to create groups",
+        "EMAIL_NOT_VERIFIED"
+      );
+    }
+  }
+}
+
+export const emailVerificationService = new EmailVerificationService();
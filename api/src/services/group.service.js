@@ -1,11 +1,47 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
 import Conversation from "../models/Conversation.js";
+import AuditLog from "../models/AuditLog.js";
 import User from "../models/user.js";
+import { cacheService } from "./cache.service.js";
 import {
   NotFoundError,
   ForbiddenError,
   BadRequestError,
+  ConflictError,
+  InternalError,
+  TooManyRequestsError,
 } from "../utils/AppError.js";
 
+const INVITE_CODE_BYTES = 12; // 16 URL-safe characters
+const MAX_CUSTOM_ROLES = 20;
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 100;
+
+// Error code and wording for each group permission
+const PERMISSION_ERRORS = {
+  sendMessages: { code: "SEND_MESSAGES_FORBIDDEN", action: "send messages" },
+  editInfo: { code: "EDIT_INFO_FORBIDDEN", action: "edit group info" },
+  addMembers: { code: "ADD_MEMBERS_FORBIDDEN", action: "add members" },
+  pinMessages: { code: "PIN_MESSAGES_FORBIDDEN", action: "pin messages" },
+  createPolls: { code: "CREATE_POLLS_FORBIDDEN", action: "start polls" },
+};
+
+// Group permission needed to change each adjustable setting
+const SETTING_PERMISSIONS = {
+  maxPinnedMessages: "pinMessages",
+  editWindowMinutes: "editInfo",
+};
+
+// Parse a date filter, rejecting anything Date can't read
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Invalid ${name} date`);
+  }
+  return date;
+};
+
 export class GroupService {
   /**
    * Add participants to a group
@@ -21,10 +57,7 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Check if user has admin privileges
-    if (!conversation.hasAdminPrivileges(adminUserId)) {
-      throw new ForbiddenError("Only admins can add participants");
-    }
+    this.assertPermission(conversation, adminUserId, "addMembers");
 
     // Add each user
     const addedUsers = [];
@@ -44,6 +77,14 @@ export class GroupService {
     }
 
     await conversation.save();
+    await this.invalidateInboxes(conversation);
+
+    for (const user of addedUsers) {
+      await this.recordAudit(conversationId, adminUserId, "member_added", {
+        target: user._id,
+        after: { role: "member" },
+      });
+    }
 
     return {
       message: "Participants added successfully",
@@ -66,9 +107,8 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Check if user has admin privileges
-    if (!conversation.hasAdminPrivileges(adminUserId)) {
-      throw new ForbiddenError("Only admins can remove participants");
+    if (!conversation.can(adminUserId, "removeMembers")) {
+      throw new ForbiddenError("You are not allowed to remove participants");
     }
 
     // Can't remove the owner
@@ -76,6 +116,14 @@ export class GroupService {
       throw new BadRequestError("Cannot remove the group owner");
     }
 
+    // Moderators and custom roles can't remove admins
+    if (
+      conversation.isAdmin(targetUserId) &&
+      !conversation.hasAdminPrivileges(adminUserId)
+    ) {
+      throw new ForbiddenError("Only admins can remove other admins");
+    }
+
     // Can't remove yourself if you're the owner
     if (adminUserId === targetUserId && conversation.isOwner(adminUserId)) {
       throw new BadRequestError(
@@ -83,8 +131,16 @@ export class GroupService {
       );
     }
 
+    const removed = conversation.getParticipant(targetUserId);
+
     conversation.removeParticipant(targetUserId);
     await conversation.save();
+    await this.invalidateInboxes(conversation, [targetUserId]);
+
+    await this.recordAudit(conversationId, adminUserId, "member_removed", {
+      target: targetUserId,
+      before: removed ? { role: removed.role } : null,
+    });
 
     return {
       message: "Participant removed successfully",
@@ -111,24 +167,66 @@ export class GroupService {
       throw new BadRequestError("Owner must transfer ownership before leaving");
     }
 
+    const { role } = conversation.getParticipant(userId) || {};
+
     conversation.removeParticipant(userId);
+    await conversation.save();
+    await this.invalidateInboxes(conversation, [userId]);
+
+    await this.recordAudit(conversationId, userId, "member_left", {
+      target: userId,
+      before: role ? { role } : null,
+    });
+
+    return {
+      message: "Left group successfully",
+    };
+  }
+
+  /**
+   * Update group info (name, description, avatar)
+   */
+  async updateGroupInfo(conversationId, userId, updates) {
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation) {
+      throw new NotFoundError("Group not found");
+    }
 
-    // If they were admin, remove from admins list
-    if (conversation.isAdmin(userId)) {
-      conversation.demoteFromAdmin(userId);
+    if (conversation.type !== "group") {
+      throw new BadRequestError("This is not a group conversation");
     }
 
+    this.assertPermission(conversation, userId, "editInfo");
+
+    const fields = ["name", "description", "avatar"].filter(
+      (field) => updates[field] !== undefined
+    );
+    const snapshot = () => {
+      const { group } = conversation.toObject();
+      return Object.fromEntries(fields.map((f) => [f, group[f] ?? null]));
+    };
+    const before = snapshot();
+
+    conversation.updateGroupInfo(updates);
     await conversation.save();
+    await this.invalidateInboxes(conversation);
+
+    await this.recordAudit(conversationId, userId, "info_updated", {
+      before,
+      after: snapshot(),
+    });
 
     return {
-      message: "Left group successfully",
+      message: "Group info updated successfully",
+      group: conversation.group,
     };
   }
 
   /**
-   * Promote user to admin
+   * Transfer ownership
    */
-  async promoteToAdmin(conversationId, adminUserId, targetUserId) {
+  async transferOwnership(conversationId, currentOwnerId, newOwnerId) {
     const conversation = await Conversation.findById(conversationId);
 
     if (!conversation) {
@@ -139,37 +237,48 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Only owner can promote to admin
-    if (!conversation.isOwner(adminUserId)) {
-      throw new ForbiddenError(
-        "Only the group owner can promote users to admin"
-      );
+    // Only owner can transfer ownership
+    if (!conversation.isOwner(currentOwnerId)) {
+      throw new ForbiddenError("Only the owner can transfer ownership");
     }
 
-    // Check if target is participant
-    if (!conversation.isParticipant(targetUserId)) {
-      throw new BadRequestError("User is not a participant");
+    // Check if new owner is participant
+    if (!conversation.isParticipant(newOwnerId)) {
+      throw new BadRequestError("New owner must be a participant");
     }
 
-    // Check if already admin
-    if (conversation.isAdmin(targetUserId)) {
-      throw new BadRequestError("User is already an admin");
-    }
+    // Update owner; the previous one stays on as an admin
+    conversation.group.createdBy = newOwnerId;
+    conversation.updateParticipantRole(newOwnerId, "owner");
+    conversation.updateParticipantRole(currentOwnerId, "admin");
 
-    conversation.promoteToAdmin(targetUserId);
     await conversation.save();
 
+    await this.recordAudit(
+      conversationId,
+      currentOwnerId,
+      "ownership_transferred",
+      {
+        target: newOwnerId,
+        before: { owner: currentOwnerId },
+        after: { owner: newOwnerId },
+      }
+    );
+
     return {
-      message: "User promoted to admin successfully",
-      userId: targetUserId,
+      message: "Ownership transferred successfully",
+      newOwnerId,
     };
   }
 
   /**
-   * Demote admin to member
+   * Get group members
    */
-  async demoteFromAdmin(conversationId, adminUserId, targetUserId) {
-    const conversation = await Conversation.findById(conversationId);
+  async getGroupMembers(conversationId, userId) {
+    const conversation = await Conversation.findById(conversationId).populate(
+      "participants.user",
+      "username displayName avatar email status"
+    );
 
     if (!conversation) {
       throw new NotFoundError("Group not found");
@@ -179,34 +288,91 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Only owner can demote admins
-    if (!conversation.isOwner(adminUserId)) {
-      throw new ForbiddenError("Only the group owner can demote admins");
+    // Check if user is participant
+    if (!conversation.isParticipant(userId)) {
+      throw new ForbiddenError("You are not a member of this group");
+    }
+
+    return {
+      participants: conversation.participants,
+      roles: conversation.roles,
+      owner: conversation.group.createdBy,
+    };
+  }
+
+  // ============ ROLES ============
+
+  /**
+   * Change a member's built-in role and/or custom role
+   * Admins hand out moderator and custom roles; only the owner can add or
+   * remove admins
+   */
+  async assignRole(conversationId, actorId, targetUserId, changes) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      actorId,
+      "Only admins can assign roles"
+    );
+
+    const participant = conversation.getParticipant(targetUserId);
+    if (!participant) {
+      throw new BadRequestError("User is not a participant");
     }
 
-    // Can't demote the owner
     if (conversation.isOwner(targetUserId)) {
-      throw new BadRequestError("Cannot demote the group owner");
+      throw new BadRequestError("Cannot change the group owner's role");
+    }
+
+    const { role = participant.role } = changes;
+
+    if (role === "owner") {
+      throw new BadRequestError("Transfer ownership to make someone the owner");
+    }
+
+    if (
+      (role === "admin" || participant.role === "admin") &&
+      role !== participant.role &&
+      !conversation.isOwner(actorId)
+    ) {
+      throw new ForbiddenError("Only the group owner can add or remove admins");
     }
 
-    // Check if user is admin
-    if (!conversation.isAdmin(targetUserId)) {
-      throw new BadRequestError("User is not an admin");
+    if (changes.customRoleId && !conversation.getRole(changes.customRoleId)) {
+      throw new NotFoundError("Role not found");
+    }
+
+    const before = {
+      role: participant.role,
+      customRole: participant.customRole,
+    };
+
+    participant.role = role;
+    if (changes.customRoleId !== undefined) {
+      participant.customRole = changes.customRoleId;
     }
 
-    conversation.demoteFromAdmin(targetUserId);
     await conversation.save();
 
+    await this.recordAudit(conversationId, actorId, "role_assigned", {
+      target: targetUserId,
+      before,
+      after: { role: participant.role, customRole: participant.customRole },
+    });
+
     return {
-      message: "Admin demoted successfully",
+      message: "Role updated",
       userId: targetUserId,
+      role: participant.role,
+      customRole: participant.customRole
+        ? conversation.getRole(participant.customRole)
+        : null,
     };
   }
 
   /**
-   * Update group info (name, description, avatar)
+   * List the group's custom roles with how many members hold each
    */
-  async updateGroupInfo(conversationId, userId, updates) {
+  async getRoles(conversationId, userId) {
     const conversation = await Conversation.findById(conversationId);
 
     if (!conversation) {
@@ -217,73 +383,856 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Check if user has admin privileges
-    if (!conversation.hasAdminPrivileges(userId)) {
-      throw new ForbiddenError("Only admins can update group info");
+    if (!conversation.isParticipant(userId)) {
+      throw new ForbiddenError("You are not a member of this group");
     }
 
-    conversation.updateGroupInfo(updates);
+    return conversation.roles.map((role) => ({
+      ...role.toObject(),
+      memberCount: conversation.participants.filter(
+        (p) => p.customRole?.toString() === role._id.toString()
+      ).length,
+    }));
+  }
+
+  /**
+   * Define a custom role with a set of permissions (admins only)
+   */
+  async createRole(conversationId, userId, { name, permissions = [] }) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can manage roles"
+    );
+
+    if (conversation.roles.length >= MAX_CUSTOM_ROLES) {
+      throw new BadRequestError(
+        `A group can have at most ${MAX_CUSTOM_ROLES} custom roles`
+      );
+    }
+
+    this.assertUniqueRoleName(conversation, name);
+
+    conversation.roles.push({ name, permissions, createdBy: userId });
     await conversation.save();
 
+    const role = conversation.roles[conversation.roles.length - 1];
+
+    await this.recordAudit(conversationId, userId, "role_created", {
+      after: { roleId: role._id, name, permissions },
+    });
+
+    return role;
+  }
+
+  /**
+   * Rename a custom role or replace its permissions
+   */
+  async updateRole(conversationId, userId, roleId, { name, permissions }) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can manage roles"
+    );
+
+    const role = conversation.getRole(roleId);
+    if (!role) {
+      throw new NotFoundError("Role not found");
+    }
+
+    const before = { name: role.name, permissions: [...role.permissions] };
+
+    if (name !== undefined) {
+      this.assertUniqueRoleName(conversation, name, roleId);
+      role.name = name;
+    }
+    if (permissions !== undefined) {
+      role.permissions = permissions;
+    }
+
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "role_updated", {
+      before: { roleId, ...before },
+      after: { roleId, name: role.name, permissions: [...role.permissions] },
+    });
+
+    return role;
+  }
+
+  /**
+   * Delete a custom role; members who held it keep their built-in role
+   */
+  async deleteRole(conversationId, userId, roleId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can manage roles"
+    );
+
+    const role = conversation.getRole(roleId);
+    if (!role) {
+      throw new NotFoundError("Role not found");
+    }
+
+    conversation.roles = conversation.roles.filter(
+      (r) => r._id.toString() !== roleId.toString()
+    );
+    for (const participant of conversation.participants) {
+      if (participant.customRole?.toString() === roleId.toString()) {
+        participant.customRole = null;
+      }
+    }
+
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "role_deleted", {
+      before: { roleId, name: role.name, permissions: [...role.permissions] },
+    });
+
     return {
-      message: "Group info updated successfully",
-      group: conversation.group,
+      message: "Role deleted",
+      roleId,
     };
   }
 
+  // ============ MODERATION ============
+
   /**
-   * Transfer ownership
+   * Time a member out: no messages, reactions or polls until it runs out
+   * Moderators can time out members; only the owner can time out admins
    */
-  async transferOwnership(conversationId, currentOwnerId, newOwnerId) {
-    const conversation = await Conversation.findById(conversationId);
+  async timeoutMember(conversationId, actorId, targetUserId, durationSeconds) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      actorId,
+      "You are not allowed to time out members",
+      "muteMembers"
+    );
 
-    if (!conversation) {
-      throw new NotFoundError("Group not found");
+    const participant = conversation.getParticipant(targetUserId);
+    if (!participant) {
+      throw new BadRequestError("User is not a participant");
     }
 
-    if (conversation.type !== "group") {
-      throw new BadRequestError("This is not a group conversation");
+    if (conversation.isOwner(targetUserId)) {
+      throw new BadRequestError("Cannot time out the group owner");
     }
 
-    // Only owner can transfer ownership
-    if (!conversation.isOwner(currentOwnerId)) {
-      throw new ForbiddenError("Only the owner can transfer ownership");
+    if (conversation.isAdmin(targetUserId) && !conversation.isOwner(actorId)) {
+      throw new ForbiddenError("Only the group owner can time out admins");
     }
 
-    // Check if new owner is participant
-    if (!conversation.isParticipant(newOwnerId)) {
-      throw new BadRequestError("New owner must be a participant");
+    const timedOutUntil = new Date(Date.now() + durationSeconds * 1000);
+
+    const applied = await cacheService.setMemberTimeout(
+      conversationId,
+      targetUserId,
+      timedOutUntil
+    );
+    if (!applied) {
+      throw new InternalError("Could not time out member, please try again");
     }
 
-    // Update owner
-    conversation.group.createdBy = newOwnerId;
+    const before = { timedOutUntil: participant.timedOutUntil };
+
+    participant.timedOutUntil = timedOutUntil;
+    await conversation.save();
+
+    await this.recordAudit(conversationId, actorId, "member_timed_out", {
+      target: targetUserId,
+      before,
+      after: { timedOutUntil, durationSeconds },
+    });
+
+    return {
+      message: "Member timed out",
+      userId: targetUserId,
+      timedOutUntil,
+    };
+  }
 
-    // Make new owner admin if not already
-    if (!conversation.isAdmin(newOwnerId)) {
-      conversation.promoteToAdmin(newOwnerId);
+  /**
+   * Lift a member's timeout early
+   */
+  async removeTimeout(conversationId, actorId, targetUserId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      actorId,
+      "You are not allowed to time out members",
+      "muteMembers"
+    );
+
+    const participant = conversation.getParticipant(targetUserId);
+    if (!participant) {
+      throw new BadRequestError("User is not a participant");
     }
 
-    // Update participant roles
-    conversation.updateParticipantRole(newOwnerId, "owner");
-    conversation.updateParticipantRole(currentOwnerId, "admin");
+    await cacheService.clearMemberTimeout(conversationId, targetUserId);
 
+    const before = { timedOutUntil: participant.timedOutUntil };
+
+    participant.timedOutUntil = null;
     await conversation.save();
 
+    await this.recordAudit(conversationId, actorId, "member_timeout_removed", {
+      target: targetUserId,
+      before,
+      after: { timedOutUntil: null },
+    });
+
     return {
-      message: "Ownership transferred successfully",
-      newOwnerId,
+      message: "Timeout removed",
+      userId: targetUserId,
     };
   }
 
   /**
-   * Get group members
+   * Turn slow mode on (interval in seconds) or off (0)
    */
-  async getGroupMembers(conversationId, userId) {
-    const conversation = await Conversation.findById(conversationId).populate(
-      "participants.user",
-      "username displayName avatar email status"
+  async setSlowMode(conversationId, userId, seconds) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can change slow mode"
+    );
+
+    const before = { slowModeSeconds: conversation.settings.slowModeSeconds };
+
+    conversation.settings.slowModeSeconds = seconds;
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "slow_mode_updated", {
+      before,
+      after: { slowModeSeconds: seconds },
+    });
+
+    return {
+      message: seconds ? "Slow mode turned on" : "Slow mode turned off",
+      slowModeSeconds: seconds,
+    };
+  }
+
+  /**
+   * Change adjustable group settings (admins holding the matching
+   * permission only)
+   */
+  async updateSettings(conversationId, userId, settings) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can change group settings"
     );
 
+    const before = {};
+
+    for (const [setting, value] of Object.entries(settings)) {
+      if (!SETTING_PERMISSIONS[setting]) {
+        throw new BadRequestError(`Unknown setting: ${setting}`);
+      }
+
+      this.assertPermission(conversation, userId, SETTING_PERMISSIONS[setting]);
+
+      before[setting] = conversation.settings[setting];
+      conversation.settings[setting] = value;
+    }
+
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "settings_updated", {
+      before,
+      after: settings,
+    });
+
+    return {
+      message: "Group settings updated",
+      settings: Object.fromEntries(
+        Object.keys(SETTING_PERMISSIONS).map((setting) => [
+          setting,
+          conversation.settings[setting],
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Throw (with retryAfter) while the user is timed out of the conversation
+   * Redis answers first; when it has no timeout (down or flushed) the
+   * persisted timedOutUntil decides, so an outage can't lift timeouts
+   */
+  async assertNotTimedOut(conversationId, userId, conversation = null) {
+    let remaining = await cacheService.getMemberTimeout(conversationId, userId);
+
+    if (!remaining) {
+      const group =
+        conversation ||
+        (await Conversation.findById(conversationId).select(
+          "participants.user participants.timedOutUntil"
+        ));
+      const until = group?.getParticipant(userId)?.timedOutUntil;
+
+      remaining = until ? until.getTime() - Date.now() : 0;
+      if (remaining <= 0) return;
+
+      await cacheService.setMemberTimeout(conversationId, userId, until);
+    }
+
+    const retryAfter = Math.ceil(remaining / 1000);
+    throw new ForbiddenError(
+      `You are timed out in this group for another ${retryAfter}s`,
+      "MEMBER_TIMED_OUT",
+      retryAfter
+    );
+  }
+
+  /**
+   * Checks before a member posts to a group: timeout, then slow mode
+   * (members who can moderate are exempt from slow mode)
+   * Returns whether a slow-mode slot was taken; hand it back with
+   * releaseSlowMode if the message then isn't stored
+   */
+  async assertCanPost(conversation, userId) {
+    if (conversation.type !== "group") return false;
+
+    const conversationId = conversation._id.toString();
+    await this.assertNotTimedOut(conversationId, userId, conversation);
+
+    const interval = conversation.settings?.slowModeSeconds;
+    if (!interval || conversation.can(userId, "muteMembers")) return false;
+
+    const remaining = await cacheService.consumeSlowMode(
+      conversationId,
+      userId,
+      interval
+    );
+    if (!remaining) return true;
+
+    const retryAfter = Math.ceil(remaining / 1000);
+    throw new TooManyRequestsError(
+      `Slow mode is on. You can send another message in ${retryAfter}s`,
+      "SLOW_MODE",
+      retryAfter
+    );
+  }
+
+  /**
+   * Undo assertCanPost's slow-mode slot for a message that failed to store
+   */
+  async releaseSlowMode(conversation, userId) {
+    await cacheService.releaseSlowMode(conversation._id.toString(), userId);
+  }
+
+  // ============ PERMISSIONS ============
+
+  /**
+   * Change who may send, edit info, add members, pin and start polls
+   * Only the owner can grant or take away "owner"-level permissions
+   */
+  async updatePermissions(conversationId, userId, permissions) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can change group permissions"
+    );
+
+    const isOwner = conversation.isOwner(userId);
+    const before = {};
+
+    for (const [permission, level] of Object.entries(permissions)) {
+      if (!PERMISSION_ERRORS[permission]) {
+        throw new BadRequestError(`Unknown permission: ${permission}`);
+      }
+
+      const current = conversation.settings.permissions[permission];
+      if (!isOwner && (level === "owner" || current === "owner")) {
+        throw new ForbiddenError(
+          "Only the group owner can change owner-only permissions"
+        );
+      }
+
+      before[permission] = current;
+      conversation.settings.permissions[permission] = level;
+    }
+
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "permissions_updated", {
+      before,
+      after: permissions,
+    });
+
+    return {
+      message: "Group permissions updated",
+      permissions: conversation.settings.permissions,
+    };
+  }
+
+  /**
+   * Drop cached inbox pages for every member (and anyone just removed)
+   */
+  async invalidateInboxes(conversation, removedUserIds = []) {
+    await cacheService.invalidateInbox([
+      ...conversation.participants.map((p) => p.user),
+      ...removedUserIds,
+    ]);
+  }
+
+  /**
+   * Throw a ForbiddenError (with a code) unless the user holds the permission
+   */
+  assertPermission(conversation, userId, permission) {
+    if (conversation.hasPermission(userId, permission)) return;
+
+    const { code, action } = PERMISSION_ERRORS[permission];
+    const level = conversation.settings?.permissions?.[permission];
+    const allowed = level === "owner" ? "the group owner" : "admins";
+
+    throw new ForbiddenError(
+      `Only ${allowed} can ${action} in this group`,
+      code
+    );
+  }
+
+  // ============ AUDIT LOG ============
+
+  /**
+   * Page through a group's audit log, newest first (admins only)
+   * Filters: action (comma-separated), actor, target, from, to; `before`
+   * is the cursor (entry id) returned with the previous page
+   */
+  async getAuditLog(conversationId, userId, filters = {}) {
+    await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "Only admins can view the audit log"
+    );
+
+    const { action, actor, target, from, to, before, limit } = filters;
+
+    for (const [name, id] of Object.entries({ actor, target, before })) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        throw new BadRequestError(`Invalid ${name}`);
+      }
+    }
+
+    const query = { conversationId };
+
+    if (action) {
+      query.action = { $in: action.split(",").map((a) => a.trim()) };
+    }
+    if (actor) query.actor = actor;
+    if (target) query.target = target;
+    if (before) query._id = { $lt: before }; // Cursor
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = parseDate(from, "from");
+      if (to) query.createdAt.$lte = parseDate(to, "to");
+    }
+
+    const pageSize = Math.min(
+      Math.max(limit || DEFAULT_AUDIT_LIMIT, 1),
+      MAX_AUDIT_LIMIT
+    );
+
+    const entries = await AuditLog.find(query)
+      .sort({ _id: -1 }) // Creation order, ties included
+      .limit(pageSize + 1)
+      .populate("actor", "username displayName avatar")
+      .populate("target", "username displayName avatar");
+
+    const hasMore = entries.length > pageSize;
+    const page = hasMore ? entries.slice(0, pageSize) : entries;
+
+    return {
+      entries: page,
+      hasMore,
+      cursor: page.length > 0 ? page[page.length - 1]._id : null,
+      count: page.length,
+    };
+  }
+
+  /**
+   * Record an administrative action; a failed write never fails the action
+   */
+  async recordAudit(
+    conversationId,
+    actorId,
+    action,
+    { target = null, before = null, after = null } = {}
+  ) {
+    try {
+      await AuditLog.create({
+        conversationId,
+        actor: actorId,
+        action,
+        target,
+        before,
+        after,
+      });
+    } catch (error) {
+      console.error("Record audit log error:", error);
+    }
+  }
+
+  // ============ INVITE LINKS ============
+
+  /**
+   * Get the current invite link (admins only)
+   */
+  async getInviteLink(conversationId, userId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "You are not allowed to manage invite links",
+      "manageInvites"
+    );
+
+    if (!conversation.group.inviteLink) {
+      throw new NotFoundError("This group has no invite link");
+    }
+
+    return this.formatInvite(conversation);
+  }
+
+  /**
+   * Create an invite link with optional expiry, use cap and approval mode
+   */
+  async createInviteLink(conversationId, userId, options = {}) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "You are not allowed to manage invite links",
+      "manageInvites"
+    );
+
+    if (conversation.group.inviteLink) {
+      throw new ConflictError(
+        "This group already has an invite link. Rotate or revoke it instead"
+      );
+    }
+
+    this.applyInvite(conversation, userId, {
+      expiresAt: null,
+      maxUses: null,
+      requiresApproval: false,
+      ...options,
+    });
+    await conversation.save();
+
+    const invite = this.formatInvite(conversation);
+    await this.recordAudit(conversationId, userId, "invite_created", {
+      after: invite,
+    });
+
+    return invite;
+  }
+
+  /**
+   * Replace the invite code (old links stop working); options are kept
+   * unless overridden
+   */
+  async rotateInviteLink(conversationId, userId, options = {}) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "You are not allowed to manage invite links",
+      "manageInvites"
+    );
+
+    if (!conversation.group.inviteLink) {
+      throw new NotFoundError("This group has no invite link");
+    }
+
+    const before = this.formatInvite(conversation);
+    const { expiresAt, maxUses, requiresApproval } = conversation.group.invite;
+
+    this.applyInvite(conversation, userId, {
+      expiresAt,
+      maxUses,
+      requiresApproval,
+      ...options,
+    });
+    await conversation.save();
+
+    const invite = this.formatInvite(conversation);
+    await this.recordAudit(conversationId, userId, "invite_rotated", {
+      before,
+      after: invite,
+    });
+
+    return invite;
+  }
+
+  /**
+   * Revoke the invite link
+   */
+  async revokeInviteLink(conversationId, userId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "You are not allowed to manage invite links",
+      "manageInvites"
+    );
+
+    if (!conversation.group.inviteLink) {
+      throw new NotFoundError("This group has no invite link");
+    }
+
+    const before = this.formatInvite(conversation);
+
+    conversation.group.inviteLink = null;
+    conversation.group.invite = {};
+    await conversation.save();
+
+    await this.recordAudit(conversationId, userId, "invite_revoked", {
+      before,
+    });
+
+    return {
+      message: "Invite link revoked",
+    };
+  }
+
+  /**
+   * Public preview of the group behind an invite code
+   */
+  async getInvitePreview(code) {
+    const conversation = await this.getGroupByInvite(code);
+
+    return {
+      code,
+      group: {
+        _id: conversation._id,
+        name: conversation.group.name,
+        description: conversation.group.description,
+        avatar: conversation.group.avatar?.url || null,
+      },
+      memberCount: conversation.participants.length,
+      requiresApproval: conversation.group.invite.requiresApproval,
+      expiresAt: conversation.group.invite.expiresAt,
+    };
+  }
+
+  /**
+   * Join a group through an invite code
+   * In approval mode this queues a join request instead
+   */
+  async joinViaInvite(code, userId) {
+    const conversation = await this.getGroupByInvite(code);
+
+    if (conversation.isParticipant(userId)) {
+      throw new BadRequestError("You are already a member of this group");
+    }
+
+    if (conversation.group.invite.requiresApproval) {
+      return this.requestToJoin(conversation, userId, "invite", { code });
+    }
+
+    // Atomic so concurrent joins can't overshoot maxUses
+    const joined = await Conversation.findOneAndUpdate(
+      {
+        _id: conversation._id,
+        "group.inviteLink": code,
+        "participants.user": { $ne: userId },
+        $or: [
+          { "group.invite.maxUses": null },
+          { $expr: { $lt: ["$group.invite.uses", "$group.invite.maxUses"] } },
+        ],
+      },
+      {
+        $push: { participants: { user: userId, role: "member" } },
+        $inc: { "group.invite.uses": 1 },
+      },
+      { new: true }
+    );
+
+    if (!joined) {
+      throw new NotFoundError("Invite link is invalid or has expired");
+    }
+
+    await this.invalidateInboxes(joined);
+
+    await this.recordAudit(joined._id, userId, "member_joined", {
+      target: userId,
+      after: { role: "member", code },
+    });
+
+    return {
+      status: "joined",
+      conversation: joined,
+    };
+  }
+
+  // ============ JOIN REQUESTS ============
+
+  /**
+   * Queue a request to join for the group's admins to approve
+   */
+  async requestToJoin(conversation, userId, via, details = {}) {
+    if (conversation.hasJoinRequest(userId)) {
+      throw new ConflictError("Your request to join is already pending");
+    }
+
+    conversation.joinRequests.push({ user: userId, via });
+    await conversation.save();
+
+    await this.recordAudit(conversation._id, userId, "join_requested", {
+      target: userId,
+      after: details,
+    });
+
+    return {
+      status: "pending",
+      conversation,
+    };
+  }
+
+  /**
+   * List pending join requests (admins only)
+   */
+  async getJoinRequests(conversationId, userId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      userId,
+      "You are not allowed to view join requests",
+      "manageInvites"
+    );
+
+    await conversation.populate(
+      "joinRequests.user",
+      "username displayName avatar"
+    );
+
+    return conversation.joinRequests;
+  }
+
+  /**
+   * Approve a pending join request
+   */
+  async approveJoinRequest(conversationId, adminUserId, targetUserId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      adminUserId,
+      "You are not allowed to approve join requests",
+      "manageInvites"
+    );
+
+    const request = conversation.joinRequests.find(
+      (r) => r.user.toString() === targetUserId.toString()
+    );
+    if (!request) {
+      throw new NotFoundError("Join request not found");
+    }
+
+    if (conversation.isParticipant(targetUserId)) {
+      this.removeJoinRequest(conversation, targetUserId);
+      await conversation.save();
+
+      return {
+        message: "User is already a member",
+        userId: targetUserId,
+        conversation,
+      };
+    }
+
+    const filter = {
+      _id: conversation._id,
+      "joinRequests.user": targetUserId,
+      "participants.user": { $ne: targetUserId },
+    };
+    const update = {
+      $push: { participants: { user: targetUserId, role: "member" } },
+      $pull: { joinRequests: { user: targetUserId } },
+    };
+
+    // Requests from the community don't use up the invite link
+    if (request.via !== "community") {
+      if (!conversation.isInviteActive()) {
+        throw new BadRequestError(
+          "The invite link has expired or reached its member limit"
+        );
+      }
+
+      // Same atomic guard as joinViaInvite, so approvals can't overshoot maxUses
+      Object.assign(filter, {
+        "group.inviteLink": conversation.group.inviteLink,
+        $or: [
+          { "group.invite.maxUses": null },
+          { $expr: { $lt: ["$group.invite.uses", "$group.invite.maxUses"] } },
+        ],
+      });
+      update.$inc = { "group.invite.uses": 1 };
+    }
+
+    const approved = await Conversation.findOneAndUpdate(filter, update, {
+      new: true,
+    });
+
+    if (!approved) {
+      throw new ConflictError("This join request can no longer be approved");
+    }
+
+    await this.invalidateInboxes(approved);
+
+    await this.recordAudit(
+      conversationId,
+      adminUserId,
+      "join_request_approved",
+      { target: targetUserId, after: { role: "member" } }
+    );
+
+    return {
+      message: "Join request approved",
+      userId: targetUserId,
+      conversation: approved,
+    };
+  }
+
+  /**
+   * Reject a pending join request
+   */
+  async rejectJoinRequest(conversationId, adminUserId, targetUserId) {
+    const conversation = await this.getGroupForAdmin(
+      conversationId,
+      adminUserId,
+      "You are not allowed to reject join requests",
+      "manageInvites"
+    );
+
+    if (!conversation.hasJoinRequest(targetUserId)) {
+      throw new NotFoundError("Join request not found");
+    }
+
+    this.removeJoinRequest(conversation, targetUserId);
+    await conversation.save();
+
+    await this.recordAudit(
+      conversationId,
+      adminUserId,
+      "join_request_rejected",
+      { target: targetUserId }
+    );
+
+    return {
+      message: "Join request rejected",
+      userId: targetUserId,
+    };
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Load a group the user administers (or holds the given capability in)
+   */
+  async getGroupForAdmin(
+    conversationId,
+    userId,
+    forbiddenMessage,
+    capability = null
+  ) {
+    const conversation = await Conversation.findById(conversationId);
+
     if (!conversation) {
       throw new NotFoundError("Group not found");
     }
@@ -292,15 +1241,95 @@ export class GroupService {
       throw new BadRequestError("This is not a group conversation");
     }
 
-    // Check if user is participant
-    if (!conversation.isParticipant(userId)) {
-      throw new ForbiddenError("You are not a member of this group");
+    const allowed = capability
+      ? conversation.can(userId, capability)
+      : conversation.hasAdminPrivileges(userId);
+
+    if (!allowed) {
+      throw new ForbiddenError(forbiddenMessage);
     }
 
+    return conversation;
+  }
+
+  /**
+   * Custom role names are unique within a group (case-insensitive)
+   */
+  assertUniqueRoleName(conversation, name, exceptRoleId = null) {
+    const taken = conversation.roles.some(
+      (r) =>
+        r.name.toLowerCase() === name.toLowerCase() &&
+        r._id.toString() !== exceptRoleId?.toString()
+    );
+
+    if (taken) {
+      throw new ConflictError(`A role named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Load the group behind an active invite code
+   */
+  async getGroupByInvite(code) {
+    const conversation = await Conversation.findOne({
+      type: "group",
+      "group.inviteLink": code,
+    });
+
+    if (!conversation || !conversation.isInviteActive()) {
+      throw new NotFoundError("Invite link is invalid or has expired");
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Set a fresh invite code and its options
+   */
+  applyInvite(conversation, userId, { expiresAt, maxUses, requiresApproval }) {
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+      throw new BadRequestError("Invite expiry must be in the future");
+    }
+
+    conversation.group.inviteLink = crypto
+      .randomBytes(INVITE_CODE_BYTES)
+      .toString("base64url");
+    conversation.group.invite = {
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      maxUses: maxUses || null,
+      uses: 0,
+      requiresApproval: Boolean(requiresApproval),
+      createdBy: userId,
+      createdAt: new Date(),
+    };
+  }
+
+  /**
+   * Ids of the participants who can approve join requests
+   */
+  getJoinRequestApprovers(conversation) {
+    return conversation.participants
+      .map((p) => p.user.toString())
+      .filter((id) => conversation.can(id, "manageInvites"));
+  }
+
+  removeJoinRequest(conversation, userId) {
+    conversation.joinRequests = conversation.joinRequests.filter(
+      (r) => r.user.toString() !== userId.toString()
+    );
+  }
+
+  formatInvite(conversation) {
+    const { inviteLink, invite } = conversation.group;
+
     return {
-      participants: conversation.participants,
-      admins: conversation.admins,
-      owner: conversation.group.createdBy,
+      code: inviteLink,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      requiresApproval: invite.requiresApproval,
+      createdBy: invite.createdBy,
+      createdAt: invite.createdAt,
     };
   }
 }
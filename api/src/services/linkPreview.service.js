@@ -0,0 +1,410 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import { cacheService } from "./cache.service.js";
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,!?;:'"\]}]+$/;
+const MAX_URL_LENGTH = 2048;
+const MAX_REDIRECTS = 3;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_BYTES = 512 * 1024; // OpenGraph tags live in <head>
+const DEFAULT_PORTS = { "http:": "80", "https:": "443" };
+const USER_AGENT = "NimbusChatBot/1.0 (+link preview)";
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+      toCodePoint(parseInt(hex, 16), match)
+    )
+    .replace(/&#(\d+);/g, (match, dec) => toCodePoint(parseInt(dec, 10), match))
+    .replace(/&quot;/g, '"')
+    .replace(/&(apos|#39);/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const toCodePoint = (code, fallback) =>
+  code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : fallback;
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern =
+    /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+
+  for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(
+    pattern
+  )) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+  }
+
+  return attributes;
+};
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * Link Preview Service
+ * Fetches OpenGraph / Twitter card metadata for links in text messages
+ */
+export class LinkPreviewService {
+  /**
+   * Options exist so the fetcher can be pointed at a local HTTP stand-in:
+   *   new LinkPreviewService({ allowedPrivateHosts: ["127.0.0.1"] })
+   *     .fetchPreview("http://127.0.0.1:4000/page")
+   * The LINK_PREVIEW_ALLOWED_HOSTS env var (comma-separated) does the same
+   * for the running app. Never set it in production.
+   */
+  constructor({
+    allowedPrivateHosts = null,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+  } = {}) {
+    this.allowedPrivateHosts = allowedPrivateHosts;
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+  }
+
+  /**
+   * Pull http(s) links out of message text, in order of appearance
+   */
+  extractUrls(content) {
+    if (typeof content !== "string") return [];
+
+    const urls = [];
+    for (const [match] of content.matchAll(URL_PATTERN)) {
+      const candidate = this.trimUrl(match);
+      if (candidate.length > MAX_URL_LENGTH) continue;
+
+      try {
+        const url = new URL(candidate);
+        url.hash = "";
+        if (!urls.includes(url.href)) urls.push(url.href);
+      } catch {
+        // Not a valid URL after all
+      }
+    }
+
+    return urls;
+  }
+
+  /**
+   * Drop sentence punctuation after a link, keeping balanced parentheses
+   * (https://en.wikipedia.org/wiki/Foo_(bar) stays intact)
+   */
+  trimUrl(match) {
+    let url = match.replace(TRAILING_PUNCTUATION, "");
+
+    while (url.endsWith(")") && url.split(")").length > url.split("(").length) {
+      url = url.slice(0, -1).replace(TRAILING_PUNCTUATION, "");
+    }
+
+    return url;
+  }
+
+  /**
+   * Get a preview, served from Redis when the URL was fetched recently
+   * Returns null when the page has no usable metadata or can't be fetched
+   */
+  async getPreview(url) {
+    const cached = await cacheService.getLinkPreview(url);
+    if (cached) {
+      return cached.unavailable ? null : cached;
+    }
+
+    let preview = null;
+    try {
+      preview = await this.fetchPreview(url);
+    } catch (error) {
+      console.warn(`⚠️ Link preview failed for ${url}: ${error.message}`);
+    }
+
+    await cacheService.cacheLinkPreview(url, preview);
+
+    return preview;
+  }
+
+  /**
+   * Fetch and parse a page (no caching)
+   */
+  async fetchPreview(url) {
+    let target = new URL(url);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await this.request(target);
+
+      if (response.redirect) {
+        target = response.redirect;
+        continue;
+      }
+
+      return this.parseMetadata(response.html, target);
+    }
+
+    throw new Error("Too many redirects");
+  }
+
+  /**
+   * Single GET with SSRF checks on every resolved address
+   */
+  request(url) {
+    this.assertFetchable(url);
+
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === "https:" ? https : http;
+
+      const req = client.get(
+        url,
+        {
+          headers: {
+            "User-Agent": USER_AGENT,
+            Accept: "text/html,application/xhtml+xml",
+          },
+          // Check the address actually connected to, so DNS rebinding
+          // can't slip a private IP past an earlier check
+          lookup: this.createLookup(url.hostname),
+        },
+        (res) => {
+          const { statusCode, headers } = res;
+
+          if (statusCode >= 300 && statusCode < 400 && headers.location) {
+            res.resume();
+            return resolve({ redirect: new URL(headers.location, url) });
+          }
+
+          if (statusCode !== 200) {
+            res.resume();
+            return reject(new Error(`Unexpected status ${statusCode}`));
+          }
+
+          if (
+            !/text\/html|application\/xhtml\+xml/i.test(
+              headers["content-type"] || ""
+            )
+          ) {
+            res.resume();
+            return reject(new Error("Not an HTML page"));
+          }
+
+          const chunks = [];
+          let size = 0;
+
+          res.on("data", (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+
+            // The head is all we need
+            if (size >= this.maxBytes) {
+              res.destroy();
+            }
+          });
+
+          res.on("close", () => {
+            resolve({ html: Buffer.concat(chunks).toString("utf8") });
+          });
+
+          res.on("error", reject);
+        }
+      );
+
+      const timer = setTimeout(() => {
+        req.destroy(new Error("Link preview request timed out"));
+      }, this.timeoutMs);
+
+      req.on("close", () => clearTimeout(timer));
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * Reject URLs that must never be fetched server-side
+   */
+  assertFetchable(url) {
+    if (!DEFAULT_PORTS[url.protocol]) {
+      throw new Error(`Unsupported protocol ${url.protocol}`);
+    }
+
+    if (url.username || url.password) {
+      throw new Error("URLs with credentials are not fetched");
+    }
+
+    const hostname = this.normalizeHost(url.hostname);
+
+    if (this.isAllowedPrivateHost(hostname)) return;
+
+    // Only standard web ports, so previews can't probe other services
+    if (url.port && url.port !== DEFAULT_PORTS[url.protocol]) {
+      throw new Error(`Port ${url.port} is not allowed`);
+    }
+
+    // IP literals never go through DNS lookup
+    if (net.isIP(hostname) && this.isPrivateAddress(hostname)) {
+      throw new Error(`Blocked private address ${hostname}`);
+    }
+  }
+
+  /**
+   * dns.lookup wrapper that refuses private addresses
+   */
+  createLookup(hostname) {
+    const allowPrivate = this.isAllowedPrivateHost(
+      this.normalizeHost(hostname)
+    );
+
+    return (host, options, callback) => {
+      dns.lookup(host, options, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address)
+          ? address
+          : [{ address, family }];
+        const blocked = allowPrivate
+          ? null
+          : addresses.find((entry) => this.isPrivateAddress(entry.address));
+
+        if (blocked) {
+          return callback(
+            new Error(`Blocked private address ${blocked.address}`)
+          );
+        }
+
+        callback(null, address, family);
+      });
+    };
+  }
+
+  /**
+   * Check an IP against the blocked ranges
+   */
+  isPrivateAddress(address) {
+    // BlockList also matches IPv4-mapped IPv6 (::ffff:a00:1) against IPv4 rules
+    const family = net.isIP(address);
+    if (family === 0) return true;
+
+    return blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+  }
+
+  /**
+   * Hosts exempt from SSRF checks (local stand-ins only)
+   */
+  isAllowedPrivateHost(hostname) {
+    const allowed =
+      this.allowedPrivateHosts ??
+      (process.env.LINK_PREVIEW_ALLOWED_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean);
+
+    return allowed.includes(hostname);
+  }
+
+  normalizeHost(hostname) {
+    return hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  }
+
+  /**
+   * Read OpenGraph / Twitter card tags, falling back to <title>
+   */
+  parseMetadata(html, pageUrl) {
+    const meta = {};
+
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+      const key = (attributes.property || attributes.name || "").toLowerCase();
+
+      // First occurrence wins (og:image can repeat)
+      if (key && attributes.content !== undefined && !(key in meta)) {
+        meta[key] = attributes.content;
+      }
+    }
+
+    const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1];
+
+    const title = clean(
+      meta["og:title"] || meta["twitter:title"] || titleTag,
+      300
+    );
+    const description = clean(
+      meta["og:description"] ||
+        meta["twitter:description"] ||
+        meta["description"],
+      500
+    );
+    const image = this.resolveHttpUrl(
+      meta["og:image"] ||
+        meta["og:image:url"] ||
+        meta["twitter:image"] ||
+        meta["twitter:image:src"],
+      pageUrl
+    );
+
+    if (!title && !description && !image) {
+      return null;
+    }
+
+    return {
+      url: this.resolveHttpUrl(meta["og:url"], pageUrl) || pageUrl.href,
+      title,
+      description,
+      image,
+      siteName: clean(meta["og:site_name"], 100) || pageUrl.hostname,
+      fetchedAt: new Date(),
+    };
+  }
+
+  /**
+   * Resolve a possibly relative URL, keeping only http(s)
+   */
+  resolveHttpUrl(value, base) {
+    if (!value) return null;
+
+    try {
+      const url = new URL(decodeEntities(value.trim()), base);
+      return DEFAULT_PORTS[url.protocol] ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export const linkPreviewService = new LinkPreviewService();
@@ -111,6 +111,16 @@ export class MediaService {
     if (mimeType.startsWith("audio/")) return "audio";
     return "file";
   }
+
+  /**
+   * Get the Cloudinary resource type an upload was stored under
+   * (audio and documents are uploaded as raw files)
+   */
+  getResourceType(mimeType = "") {
+    if (mimeType.startsWith("image/")) return "image";
+    if (mimeType.startsWith("video/")) return "video";
+    return "raw";
+  }
 }
 
 export const mediaService = new MediaService();
@@ -1,8 +1,61 @@
 import Message from "../models/Message.js";
 import Conversation from "../models/Conversation.js";
-import { NotFoundError, BadRequestError } from "../utils/AppError.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} from "../utils/AppError.js";
+import { userService } from "./user.service.js";
+import { groupService } from "./group.service.js";
+import { mediaService } from "./media.service.js";
+import { cacheService } from "./cache.service.js";
+import { queueLinkPreview } from "../queues/linkPreviewQueue.js";
 import mongoose from "mongoose";
 
+const SNIPPET_RADIUS = 40;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_FORWARD_TARGETS = 5;
+const NON_FORWARDABLE_TYPES = ["system", "poll"];
+const THREAD_REPLY_TYPES = ["text", "emoji"];
+const MAX_STARRED_LIMIT = 100;
+const MAX_MENTIONS_LIMIT = 100;
+const EXPIRY_BATCH_SIZE = 500;
+const PURGE_RETRY_DELAY_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a short snippet around the first matched term, with the
+ * character ranges of every match inside the snippet
+ */
+const buildSnippet = (content, terms) => {
+  if (typeof content !== "string" || terms.length === 0) {
+    return { snippet: content, highlights: [] };
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const firstMatch = pattern.exec(content);
+  const anchor = firstMatch ? firstMatch.index : 0;
+
+  const start = Math.max(0, anchor - SNIPPET_RADIUS);
+  const end = Math.min(content.length, anchor + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const snippet = `${prefix}${content.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(snippet)) !== null) {
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return { snippet, highlights };
+};
+
 /**
  * Message Service
  * Handles all message-related business logic
@@ -18,7 +71,16 @@ export class MessageService {
     type = "text",
     metadata = {},
     replyTo = null,
+    poll = null,
+    media = null,
+    mentions = [],
+    requireParticipant = true, // false for notices posted on someone's behalf
+    checkPosting = true, // false when the caller already ran the group checks
   }) {
+    if (type === "poll" && !poll) {
+      throw new BadRequestError("Poll messages must be created as polls");
+    }
+
     // Validate conversation exists
     const conversation = await Conversation.findById(conversationId);
     if (!conversation) {
@@ -30,28 +92,81 @@ export class MessageService {
       (p) => p.user.toString() === senderId
     );
 
-    if (!isSenderInConversation) {
+    if (requireParticipant && !isSenderInConversation) {
       throw new BadRequestError(
         "You are not a participant in this conversation"
       );
     }
 
-    const message = await Message.create({
-      clientMsgId: `${senderId}_${Date.now()}_${Math.random().toString(36)}`,
-      conversationId,
-      senderId,
-      content,
-      type,
-      metadata: metadata || {},
-      status: "sent",
-      replyTo,
-    });
+    // Announcement-only groups, timeouts and slow mode (notices are exempt)
+    let slowModeTaken = false;
+    if (checkPosting && type !== "system") {
+      groupService.assertPermission(conversation, senderId, "sendMessages");
+      slowModeTaken = await groupService.assertCanPost(conversation, senderId);
+    }
+
+    let message;
+    try {
+      message = await Message.create({
+        clientMsgId: `${senderId}_${Date.now()}_${Math.random().toString(36)}`,
+        conversationId,
+        senderId,
+        content,
+        type,
+        metadata: metadata || {},
+        status: "sent",
+        replyTo,
+        poll: type === "poll" ? poll : null,
+        mentions,
+        ...(media && { media }),
+        // System notices (e.g. the timer being changed) never disappear
+        expiresAt: type === "system" ? null : conversation.getMessageExpiry(),
+      });
+    } catch (error) {
+      // Nothing was sent, so it doesn't count against slow mode
+      if (slowModeTaken) {
+        await groupService.releaseSlowMode(conversation, senderId);
+      }
+      throw error;
+    }
+
+    // One more unread for everyone but the sender (notices don't count),
+    // and one more mention for everyone mentioned; $inc so concurrent
+    // sends can't overwrite each other's counts
+    const counterIncrements = {};
+    if (type !== "system") {
+      const mentionedIds = mentions.map((id) => id.toString());
+
+      conversation.participants
+        .map((p) => p.user.toString())
+        .filter((id) => id !== senderId.toString())
+        .forEach((id) => {
+          counterIncrements[`unreadCount.${id}`] = 1;
+          if (mentionedIds.includes(id)) {
+            counterIncrements[`mentionCount.${id}`] = 1;
+          }
+        });
+    }
 
     // Update conversation's last message
     await Conversation.findByIdAndUpdate(conversationId, {
       lastMessage: message._id,
+      lastMessageAt: message.createdAt,
       updatedAt: new Date(),
+      ...(Object.keys(counterIncrements).length > 0 && {
+        $inc: counterIncrements,
+      }),
     });
+    await cacheService.invalidateInbox(
+      conversation.participants.map((p) => p.user)
+    );
+
+    // Previews are fetched in the background and pushed as message:updated
+    if (type === "text") {
+      await queueLinkPreview(message).catch((error) =>
+        console.error("Queue link preview error:", error)
+      );
+    }
 
     await message.populate("senderId", "displayName avatar phone username");
 
@@ -74,6 +189,9 @@ export class MessageService {
       conversationId,
       isDeleted: false,
       deletedFor: { $ne: userId }, // Exclude messages deleted by this user
+      threadRoot: null, // Thread replies are loaded per thread
+      // Hide expired messages the sweeper hasn't purged yet
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
     };
 
     // Cursor-based pagination
@@ -93,6 +211,12 @@ export class MessageService {
       .populate("reactions.userId", "displayName avatar")
       .lean();
 
+    messages.forEach((message) => {
+      if (message.poll) {
+        message.poll = Message.toPollSummary(message.poll, userId);
+      }
+    });
+
     return {
       messages,
       nextCursor:
@@ -111,6 +235,9 @@ export class MessageService {
     const query = {
       conversationId: mongoose.Types.ObjectId(conversationId),
       deletedFor: { $ne: userId }, // Exclude user-deleted messages
+      threadRoot: null, // Thread replies are loaded per thread
+      // Hide expired messages the sweeper hasn't purged yet
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
     };
 
     // Exclude system-deleted messages unless requested
@@ -141,6 +268,9 @@ export class MessageService {
         deliveredTo: 1,
         seenBy: 1,
         isDeleted: 1,
+        thread: 1,
+        poll: 1,
+        expiresAt: 1,
       })
       .sort({ createdAt: before ? -1 : 1 })
       .limit(limit + 1)
@@ -166,6 +296,12 @@ export class MessageService {
       result.reverse();
     }
 
+    result.forEach((message) => {
+      if (message.poll) {
+        message.poll = Message.toPollSummary(message.poll, userId);
+      }
+    });
+
     return {
       messages: result,
       hasMore,
@@ -177,6 +313,467 @@ export class MessageService {
     };
   }
 
+  /**
+   * Forward a message into one or more conversations
+   * Media is reused by Cloudinary publicId, never re-uploaded
+   */
+  async forwardMessage(messageId, userId, targetConversationIds) {
+    const targetIds = [...new Set((targetConversationIds || []).map(String))];
+
+    if (targetIds.length === 0) {
+      throw new BadRequestError("Select at least one conversation");
+    }
+
+    if (targetIds.length > MAX_FORWARD_TARGETS) {
+      throw new BadRequestError(
+        `Messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats at once`
+      );
+    }
+
+    const original = await Message.findOne({
+      _id: messageId,
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+    });
+
+    if (!original || (original.expiresAt && original.expiresAt <= new Date())) {
+      throw new NotFoundError("Message not found");
+    }
+
+    if (NON_FORWARDABLE_TYPES.includes(original.type)) {
+      throw new BadRequestError(
+        `${original.type} messages cannot be forwarded`
+      );
+    }
+
+    // Caller must be able to see the source message
+    const isSourceParticipant = await Conversation.exists({
+      _id: original.conversationId,
+      "participants.user": userId,
+    });
+
+    if (!isSourceParticipant) {
+      throw new NotFoundError("Message not found");
+    }
+
+    const targets = await Conversation.find({
+      _id: { $in: targetIds },
+      "participants.user": userId,
+      isDeleted: false,
+    });
+
+    if (targets.length !== targetIds.length) {
+      throw new NotFoundError("One or more conversations were not found");
+    }
+
+    // Announcement-only groups and blocks in either direction for direct
+    // chats; if any target refuses, nothing is sent, so hand back the
+    // slow-mode slots already taken
+    const slowModeTaken = [];
+    try {
+      for (const target of targets) {
+        groupService.assertPermission(target, userId, "sendMessages");
+        if (await groupService.assertCanPost(target, userId)) {
+          slowModeTaken.push(target);
+        }
+
+        if (target.type !== "direct") continue;
+
+        const other = target.participants.find(
+          (p) => p.user.toString() !== userId.toString()
+        );
+        if (!other) continue;
+
+        const { isBlocked } = await userService.isBlocked(userId, other.user);
+        if (isBlocked) {
+          throw new ForbiddenError("You cannot forward messages to this user");
+        }
+      }
+    } catch (error) {
+      for (const target of slowModeTaken) {
+        await groupService.releaseSlowMode(target, userId);
+      }
+      throw error;
+    }
+
+    const {
+      scheduledMessageId,
+      forwarded,
+      forwardCount = 0,
+      originalMessageId,
+      ...otherMetadata
+    } = original.metadata || {};
+
+    // Broadcast bookkeeping (report links, skipped recipients) stays with
+    // the original
+    const carriedMetadata = Object.fromEntries(
+      Object.entries(otherMetadata).filter(
+        ([key]) => !key.startsWith("broadcast")
+      )
+    );
+
+    const { media } = original.toObject();
+
+    const results = [];
+    for (const target of targets) {
+      const message = await this.createMessage({
+        senderId: userId.toString(),
+        conversationId: target._id,
+        checkPosting: false, // Every target was checked above
+        type: original.type,
+        content: original.content,
+        media: media?.publicId ? media : null,
+        metadata: {
+          ...carriedMetadata,
+          forwarded: true,
+          forwardCount: forwardCount + 1,
+          originalMessageId: originalMessageId || original._id,
+        },
+      });
+
+      results.push({ message, conversation: target });
+    }
+
+    return results;
+  }
+
+  /**
+   * Reply in a message thread
+   * Replies never become the conversation's lastMessage
+   */
+  async createThreadReply({
+    senderId,
+    rootMessageId,
+    content,
+    type = "text",
+    metadata = {},
+  }) {
+    if (!THREAD_REPLY_TYPES.includes(type)) {
+      throw new BadRequestError("Thread replies must be text or emoji");
+    }
+
+    let root = await Message.findById(rootMessageId);
+    if (!root) {
+      throw new NotFoundError("Message not found");
+    }
+
+    // Replying to a reply continues the same thread
+    if (root.threadRoot) {
+      root = await Message.findById(root.threadRoot);
+      if (!root) {
+        throw new NotFoundError("Thread not found");
+      }
+    }
+
+    if (root.isDeleted) {
+      throw new BadRequestError("Cannot reply to a deleted message");
+    }
+
+    const conversation = await Conversation.findById(root.conversationId);
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    // Same answer as for a message that doesn't exist
+    if (!conversation.isParticipant(senderId)) {
+      throw new NotFoundError("Message not found");
+    }
+
+    if (conversation.settings?.allowReplies === false) {
+      throw new BadRequestError("Replies are disabled in this conversation");
+    }
+
+    groupService.assertPermission(conversation, senderId, "sendMessages");
+    const slowModeTaken = await groupService.assertCanPost(
+      conversation,
+      senderId
+    );
+
+    let reply;
+    try {
+      reply = await Message.create({
+        clientMsgId: `${senderId}_${Date.now()}_${Math.random().toString(36)}`,
+        conversationId: root.conversationId,
+        senderId,
+        content,
+        type,
+        metadata: metadata || {},
+        status: "sent",
+        threadRoot: root._id,
+        expiresAt: conversation.getMessageExpiry(),
+      });
+    } catch (error) {
+      if (slowModeTaken) {
+        await groupService.releaseSlowMode(conversation, senderId);
+      }
+      throw error;
+    }
+
+    // Bump unread for everyone else who has replied in the thread
+    const unreadIncrements = {};
+    root.thread.participants
+      .map((p) => p.toString())
+      .filter((id) => id !== senderId.toString())
+      .forEach((id) => {
+        unreadIncrements[`thread.unreadCount.${id}`] = 1;
+      });
+
+    const updatedRoot = await Message.findByIdAndUpdate(
+      root._id,
+      {
+        $inc: { "thread.replyCount": 1, ...unreadIncrements },
+        $set: { "thread.lastReplyAt": reply.createdAt },
+        $addToSet: { "thread.participants": senderId },
+      },
+      { new: true }
+    );
+
+    await reply.populate("senderId", "displayName avatar username");
+
+    return { reply, root: updatedRoot, conversation };
+  }
+
+  /**
+   * Get replies in a thread (cursor pagination, oldest first)
+   */
+  async getThreadMessages(rootMessageId, userId, options = {}) {
+    const { before, limit = 50 } = options;
+
+    const root = await Message.findOne({
+      _id: rootMessageId,
+      threadRoot: null,
+      deletedFor: { $ne: userId },
+    })
+      .populate("senderId", "displayName avatar username")
+      .lean();
+
+    if (!root) {
+      throw new NotFoundError("Thread not found");
+    }
+
+    const isParticipant = await Conversation.exists({
+      _id: root.conversationId,
+      "participants.user": userId,
+    });
+
+    if (!isParticipant) {
+      throw new NotFoundError("Thread not found");
+    }
+
+    const query = {
+      threadRoot: root._id,
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+
+    if (before) {
+      query.createdAt = { $lt: new Date(before) };
+    }
+
+    const replies = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1)
+      .populate("senderId", "displayName avatar username")
+      .populate("reactions.userId", "displayName avatar")
+      .lean();
+
+    const hasMore = replies.length > limit;
+    const result = hasMore ? replies.slice(0, limit) : replies;
+    const cursor =
+      result.length > 0
+        ? result[result.length - 1].createdAt.toISOString()
+        : null;
+
+    result.reverse();
+
+    return {
+      root,
+      messages: result,
+      hasMore,
+      cursor,
+      count: result.length,
+      unreadCount: root.thread?.unreadCount?.[userId.toString()] || 0,
+    };
+  }
+
+  /**
+   * Mark a thread as read for a user
+   */
+  async markThreadAsRead(rootMessageId, userId) {
+    const root = await this.getVisibleMessage(rootMessageId, userId);
+
+    if (root.threadRoot) {
+      throw new NotFoundError("Thread not found");
+    }
+
+    root.resetThreadUnread(userId);
+    await root.save();
+
+    return {
+      messageId: root._id,
+      conversationId: root.conversationId,
+      unreadCount: 0,
+    };
+  }
+
+  /**
+   * Full-text search across every conversation the user participates in
+   */
+  async searchMessages(userId, searchQuery, options = {}) {
+    const {
+      conversationId,
+      senderId,
+      type,
+      from,
+      to,
+      before,
+      limit = 20,
+    } = options;
+
+    const trimmed = searchQuery?.trim();
+    if (!trimmed || trimmed.length < 2) {
+      throw new BadRequestError("Search query must be at least 2 characters");
+    }
+
+    // Restrict to conversations the user belongs to
+    const conversationFilter = { "participants.user": userId };
+    if (conversationId) {
+      conversationFilter._id = conversationId;
+    }
+
+    const conversations = await Conversation.find(conversationFilter)
+      .select("_id")
+      .lean();
+
+    if (conversationId && conversations.length === 0) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    const now = new Date();
+    const query = {
+      $text: { $search: trimmed },
+      conversationId: { $in: conversations.map((c) => c._id) },
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      type: type || "text",
+    };
+
+    if (senderId) {
+      query.senderId = senderId;
+    }
+
+    if (from || to || before) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (before) query.createdAt.$lt = new Date(before); // Cursor
+    }
+
+    const pageSize = Math.min(limit, MAX_SEARCH_LIMIT);
+
+    const messages = await Message.find(query)
+      .select({
+        content: 1,
+        type: 1,
+        senderId: 1,
+        conversationId: 1,
+        createdAt: 1,
+        edited: 1,
+      })
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1)
+      .populate("senderId", "displayName avatar username")
+      .populate("conversationId", "type group.name group.avatar")
+      .lean();
+
+    const hasMore = messages.length > pageSize;
+    const page = hasMore ? messages.slice(0, pageSize) : messages;
+    // Negated terms ("-word") never appear in results, so don't highlight them
+    const terms = trimmed
+      .replace(/"/g, "")
+      .split(/\s+/)
+      .filter((term) => term && !term.startsWith("-"));
+
+    return {
+      results: page.map((message) => ({
+        ...message,
+        ...buildSnippet(message.content, terms),
+      })),
+      hasMore,
+      cursor:
+        page.length > 0 ? page[page.length - 1].starredAt.toISOString() : null,
+      count: page.length,
+    };
+  }
+
+  /**
+   * Get messages that mention the user, newest first
+   */
+  async getMentions(userId, options = {}) {
+    const { conversationId, before, limit = 20 } = options;
+
+    // Only conversations the user still belongs to
+    const conversationFilter = { "participants.user": userId };
+    if (conversationId) {
+      conversationFilter._id = conversationId;
+    }
+
+    const conversations = await Conversation.find(conversationFilter)
+      .select("_id")
+      .lean();
+
+    if (conversationId && conversations.length === 0) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    const query = {
+      mentions: userId,
+      conversationId: { $in: conversations.map((c) => c._id) },
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+
+    if (before) {
+      query.createdAt = { $lt: new Date(before) }; // Cursor
+    }
+
+    const pageSize = Math.min(limit, MAX_MENTIONS_LIMIT);
+
+    const messages = await Message.find(query)
+      .select({
+        content: 1,
+        type: 1,
+        senderId: 1,
+        conversationId: 1,
+        threadRoot: 1,
+        createdAt: 1,
+        edited: 1,
+        seenBy: { $elemMatch: { userId } },
+      })
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1)
+      .populate("senderId", "displayName avatar username")
+      .populate("conversationId", "type group.name group.avatar")
+      .lean();
+
+    const hasMore = messages.length > pageSize;
+    const page = hasMore ? messages.slice(0, pageSize) : messages;
+
+    return {
+      results: page.map(({ seenBy, ...message }) => ({
+        ...message,
+        isRead: Boolean(seenBy?.length),
+      })),
+      hasMore,
+      cursor:
+        page.length > 0 ? page[page.length - 1].starredAt.toISOString() : null,
+      count: page.length,
+    };
+  }
+
   /**
    * Mark message as delivered
    */
@@ -236,6 +833,18 @@ export class MessageService {
       }
     );
 
+    // Clear the unread and "@" badges
+    await Conversation.updateOne(
+      { _id: conversationId, "participants.user": userId },
+      {
+        $set: {
+          [`unreadCount.${userId}`]: 0,
+          [`mentionCount.${userId}`]: 0,
+        },
+      }
+    );
+    await cacheService.invalidateInbox(userId);
+
     return result;
   }
 
@@ -243,28 +852,67 @@ export class MessageService {
    * Edit message (uses model's canEdit method)
    */
   async editMessage(messageId, userId, newContent) {
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(messageId).select("+revisions");
 
     if (!message) {
       throw new NotFoundError("Message not found");
     }
 
+    // Not lean, so conversations created before the setting get its default
+    const conversation = await Conversation.findById(
+      message.conversationId
+    ).select("participants settings.editWindowMinutes");
+
+    if (!conversation || !conversation.isParticipant(userId)) {
+      throw new NotFoundError("Message not found");
+    }
+
+    const { editWindowMinutes } = conversation.settings;
+
     // Use model's canEdit method
-    if (!message.canEdit(userId)) {
+    if (!message.canEdit(userId, editWindowMinutes)) {
       throw new BadRequestError(
-        "Cannot edit this message. Only sender can edit within 15 minutes."
+        `Cannot edit this message. Only sender can edit within ${editWindowMinutes} minutes.`
       );
     }
 
-    message.content = newContent;
+    message.editContent(newContent); // Keeps the previous version
     // Middleware will handle setting edited flags
     await message.save();
+    await cacheService.invalidateInbox(
+      conversation.participants.map((p) => p.user)
+    );
 
     await message.populate("senderId", "displayName avatar phone username");
 
     return message;
   }
 
+  /**
+   * Get the edit history of a message, newest version first
+   */
+  async getMessageRevisions(messageId, userId) {
+    const message = await this.getVisibleMessage(
+      messageId,
+      userId,
+      "+revisions"
+    );
+
+    if (message.isDeleted) {
+      throw new NotFoundError("Message not found");
+    }
+
+    return {
+      messageId: message._id,
+      current: {
+        content: message.content,
+        createdAt: message.edited.editedAt || message.createdAt,
+      },
+      revisions: [...message.revisions].reverse(),
+      count: message.revisions.length,
+    };
+  }
+
   /**
    * Delete message for user (soft delete)
    */
@@ -281,12 +929,15 @@ export class MessageService {
 
     message.deleteForUser(userId); // Use model method
     await message.save();
+    await cacheService.invalidateInbox(userId); // Preview may fall back
 
     return message;
   }
 
   /**
-   * Permanently delete message (sender only, deletes for everyone)
+   * Permanently delete message for everyone
+   * Senders have 1 hour; group members allowed to delete messages
+   * (admins, moderators, custom roles) can remove anyone's at any time
    */
   async deleteMessageForEveryone(messageId, userId) {
     const message = await Message.findById(messageId);
@@ -295,20 +946,28 @@ export class MessageService {
       throw new NotFoundError("Message not found");
     }
 
-    if (message.senderId.toString() !== userId.toString()) {
-      throw new BadRequestError("Only sender can delete for everyone");
-    }
+    if (message.senderId.toString() === userId.toString()) {
+      // Check time limit (e.g., 1 hour)
+      const oneHourAgo = Date.now() - 60 * 60 * 1000;
+      if (message.createdAt < oneHourAgo) {
+        throw new BadRequestError(
+          "Can only delete for everyone within 1 hour of sending"
+        );
+      }
+    } else {
+      const conversation = await Conversation.findById(message.conversationId);
 
-    // Check time limit (e.g., 1 hour)
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
-    if (message.createdAt < oneHourAgo) {
-      throw new BadRequestError(
-        "Can only delete for everyone within 1 hour of sending"
-      );
+      if (
+        conversation?.type !== "group" ||
+        !conversation.can(userId, "deleteMessages")
+      ) {
+        throw new BadRequestError("Only sender can delete for everyone");
+      }
     }
 
     message.permanentDelete(); // Use model method
     await message.save();
+    await this.invalidateConversationInboxes(message.conversationId);
 
     return message;
   }
@@ -327,6 +986,8 @@ export class MessageService {
       throw new BadRequestError("Cannot react to deleted message");
     }
 
+    await groupService.assertNotTimedOut(message.conversationId, userId);
+
     message.addReaction(userId, emoji); // Use model method
     await message.save();
 
@@ -351,6 +1012,147 @@ export class MessageService {
     return message;
   }
 
+  /**
+   * Star a message for the user (stars are private to each user)
+   */
+  async starMessage(messageId, userId) {
+    const message = await this.getVisibleMessage(messageId, userId);
+
+    if (message.isDeleted) {
+      throw new BadRequestError("Cannot star a deleted message");
+    }
+
+    // Only push when not already starred so repeated stars are a no-op
+    await Message.updateOne(
+      { _id: messageId, "starredBy.userId": { $ne: userId } },
+      { $push: { starredBy: { userId, starredAt: new Date() } } }
+    );
+
+    return message;
+  }
+
+  /**
+   * Remove the user's star from a message
+   */
+  async unstarMessage(messageId, userId) {
+    const message = await this.getVisibleMessage(messageId, userId);
+
+    await Message.updateOne(
+      { _id: messageId },
+      { $pull: { starredBy: { userId } } }
+    );
+
+    return message;
+  }
+
+  /**
+   * Get the user's starred messages, most recently starred first, grouped
+   * by conversation
+   * Messages deleted for everyone or expired are left out
+   */
+  async getStarredMessages(userId, options = {}) {
+    const { before, limit = 50 } = options;
+    const starrerId = new mongoose.Types.ObjectId(userId.toString());
+
+    // Page by when the user starred each message, newest first
+    const starMatch = { "starredBy.userId": starrerId };
+    if (before) {
+      starMatch["starredBy.starredAt"] = { $lt: new Date(before) }; // Cursor
+    }
+
+    const pageSize = Math.min(limit, MAX_STARRED_LIMIT);
+
+    const messages = await Message.aggregate([
+      {
+        $match: {
+          "starredBy.userId": starrerId,
+          isDeleted: false,
+          deletedFor: { $ne: starrerId },
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        },
+      },
+      { $unwind: "$starredBy" },
+      { $match: starMatch },
+      { $sort: { "starredBy.starredAt": -1, _id: -1 } },
+      { $limit: pageSize + 1 },
+      {
+        $project: {
+          content: 1,
+          type: 1,
+          senderId: 1,
+          conversationId: 1,
+          media: 1,
+          metadata: 1,
+          createdAt: 1,
+          edited: 1,
+          starredAt: "$starredBy.starredAt",
+        },
+      },
+    ]);
+
+    await Message.populate(messages, [
+      { path: "senderId", select: "displayName avatar username" },
+      { path: "conversationId", select: "type group.name group.avatar" },
+    ]);
+
+    const hasMore = messages.length > pageSize;
+    const page = hasMore ? messages.slice(0, pageSize) : messages;
+
+    // Group in page order so the newest conversation comes first
+    const groups = new Map();
+    for (const { conversationId, ...message } of page) {
+      if (!conversationId) continue; // Conversation was removed
+
+      const key = conversationId._id.toString();
+      if (!groups.has(key)) {
+        groups.set(key, { conversation: conversationId, messages: [] });
+      }
+
+      groups.get(key).messages.push({
+        ...message,
+        conversationId: conversationId._id,
+      });
+    }
+
+    return {
+      conversations: [...groups.values()],
+      hasMore,
+      cursor:
+        page.length > 0 ? page[page.length - 1].starredAt.toISOString() : null,
+      count: page.length,
+    };
+  }
+
+  /**
+   * Load a message the user can see in a conversation they belong to
+   */
+  async getVisibleMessage(messageId, userId, select = null) {
+    const query = Message.findOne({
+      _id: messageId,
+      deletedFor: { $ne: userId },
+    });
+    if (select) {
+      query.select(select);
+    }
+
+    const message = await query;
+
+    if (!message) {
+      throw new NotFoundError("Message not found");
+    }
+
+    const isParticipant = await Conversation.exists({
+      _id: message.conversationId,
+      "participants.user": userId,
+    });
+
+    if (!isParticipant) {
+      throw new NotFoundError("Message not found");
+    }
+
+    return message;
+  }
+
   /**
    * Get message by ID with full details
    */
@@ -373,6 +1175,137 @@ export class MessageService {
 
     return message;
   }
+
+  /**
+   * Drop cached inbox pages for everyone in a conversation
+   */
+  async invalidateConversationInboxes(conversationId) {
+    const conversation = await Conversation.findById(conversationId)
+      .select("participants.user")
+      .lean();
+
+    if (conversation) {
+      await cacheService.invalidateInbox(
+        conversation.participants.map((p) => p.user)
+      );
+    }
+  }
+
+  /**
+   * Hard-delete disappearing messages whose timer ran out, along with
+   * their Cloudinary uploads. Returns the purged IDs per conversation
+   */
+  async purgeExpiredMessages({ limit = EXPIRY_BATCH_SIZE } = {}) {
+    const now = new Date();
+    const expired = await Message.find({
+      expiresAt: { $ne: null, $lte: now },
+      // Failed uploads wait their turn instead of clogging every batch
+      purgeRetryAt: { $not: { $gt: now } },
+    })
+      .select("conversationId media")
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+
+    const deletedAssets = new Set();
+    const purged = [];
+    for (const message of expired) {
+      const publicId = message.media?.publicId;
+
+      if (publicId && !deletedAssets.has(publicId)) {
+        // Forwards share the upload; leave it while any copy is still live
+        const stillUsed = await Message.exists({
+          "media.publicId": publicId,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+        });
+
+        if (!stillUsed) {
+          const deleted = await mediaService.deleteMedia(
+            publicId,
+            mediaService.getResourceType(message.media.mimeType)
+          );
+          // Keep the message and retry the upload later
+          if (!deleted) {
+            await Message.updateOne(
+              { _id: message._id },
+              {
+                $set: {
+                  purgeRetryAt: new Date(now.getTime() + PURGE_RETRY_DELAY_MS),
+                },
+              }
+            );
+            continue;
+          }
+          deletedAssets.add(publicId);
+        }
+      }
+      purged.push(message);
+    }
+
+    if (purged.length === 0) {
+      return { count: 0, conversations: [] };
+    }
+
+    const messageIds = purged.map((m) => m._id);
+
+    await Message.deleteMany({ _id: { $in: messageIds } });
+
+    // Drop pins that pointed at purged messages
+    await Conversation.updateMany(
+      { "pinnedMessages.message": { $in: messageIds } },
+      { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+    );
+
+    // Previews fall back to the newest message still there
+    const stalePreviews = await Conversation.find({
+      lastMessage: { $in: messageIds },
+    })
+      .select("_id")
+      .lean();
+
+    for (const { _id } of stalePreviews) {
+      const latest = await Message.findOne({
+        conversationId: _id,
+        threadRoot: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      })
+        .sort({ createdAt: -1 })
+        .select("_id")
+        .lean();
+
+      // Unless a new message took over the preview in the meantime
+      await Conversation.updateOne(
+        { _id, lastMessage: { $in: messageIds } },
+        { $set: { lastMessage: latest?._id || null } }
+      );
+    }
+
+    const byConversation = new Map();
+    purged.forEach((message) => {
+      const key = message.conversationId.toString();
+      if (!byConversation.has(key)) byConversation.set(key, []);
+      byConversation.get(key).push(message._id.toString());
+    });
+
+    const conversations = await Conversation.find({
+      _id: { $in: [...byConversation.keys()] },
+    })
+      .select("participants.user")
+      .lean();
+
+    await cacheService.invalidateInbox(
+      conversations.flatMap((c) => c.participants.map((p) => p.user))
+    );
+
+    return {
+      count: purged.length,
+      conversations: conversations.map((conversation) => ({
+        conversationId: conversation._id.toString(),
+        participantIds: conversation.participants.map((p) => p.user.toString()),
+        messageIds: byConversation.get(conversation._id.toString()),
+      })),
+    };
+  }
 }
 
 // Singleton instance
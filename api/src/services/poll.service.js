@@ -0,0 +1,350 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import { messageService } from "./message.service.js";
+import { groupService } from "./group.service.js";
+import { queuePollClose, cancelPollClose } from "../queues/pollQueue.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} from "../utils/AppError.js";
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 12;
+
+/**
+ * Poll Service
+ * Polls are messages of type "poll" with the poll stored on the message
+ */
+export class PollService {
+  /**
+   * Create a poll message in a group
+   */
+  async createPoll({
+    senderId,
+    conversationId,
+    question,
+    options,
+    allowMultiple = false,
+    isAnonymous = false,
+    closesAt = null,
+  }) {
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation || !conversation.isParticipant(senderId)) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    if (conversation.type !== "group") {
+      throw new BadRequestError("Polls are only available in group chats");
+    }
+
+    groupService.assertPermission(conversation, senderId, "createPolls");
+
+    if (!question?.trim()) {
+      throw new BadRequestError("Poll question is required");
+    }
+
+    const optionTexts = (options || [])
+      .map((text) => (typeof text === "string" ? text.trim() : ""))
+      .filter(Boolean);
+
+    if (optionTexts.length < MIN_OPTIONS || optionTexts.length > MAX_OPTIONS) {
+      throw new BadRequestError(
+        `Polls need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`
+      );
+    }
+
+    const uniqueTexts = new Set(optionTexts.map((t) => t.toLowerCase()));
+    if (uniqueTexts.size !== optionTexts.length) {
+      throw new BadRequestError("Poll options must be unique");
+    }
+
+    if (closesAt && new Date(closesAt).getTime() <= Date.now()) {
+      throw new BadRequestError("Poll close time must be in the future");
+    }
+
+    // Last, so a rejected poll doesn't count against slow mode
+    const slowModeTaken = await groupService.assertCanPost(
+      conversation,
+      senderId
+    );
+
+    let message;
+    try {
+      message = await messageService.createMessage({
+        senderId: senderId.toString(),
+        conversationId,
+        type: "poll",
+        content: question.trim(),
+        poll: {
+          question: question.trim(),
+          options: optionTexts.map((text) => ({ text, voters: [] })),
+          allowMultiple,
+          isAnonymous,
+          closesAt: closesAt ? new Date(closesAt) : null,
+        },
+        // Polls follow createPolls rather than sendMessages
+        checkPosting: false,
+      });
+    } catch (error) {
+      if (slowModeTaken) {
+        await groupService.releaseSlowMode(conversation, senderId);
+      }
+      throw error;
+    }
+
+    if (message.poll.closesAt) {
+      await queuePollClose(message);
+    }
+
+    return { message, conversation };
+  }
+
+  /**
+   * Vote in a poll (replaces the user's previous selection)
+   */
+  async vote(messageId, userId, optionIds) {
+    const message = await this.getPollMessage(messageId, userId);
+
+    if (!message.isPollOpen()) {
+      throw new BadRequestError("This poll is closed");
+    }
+
+    await groupService.assertNotTimedOut(message.conversationId, userId);
+
+    const selected = [...new Set((optionIds || []).map(String))];
+
+    if (selected.length === 0) {
+      throw new BadRequestError("Select at least one option");
+    }
+
+    if (!message.poll.allowMultiple && selected.length > 1) {
+      throw new BadRequestError("This poll allows only one choice");
+    }
+
+    const validIds = message.poll.options.map((o) => o._id.toString());
+    if (selected.some((id) => !validIds.includes(id))) {
+      throw new BadRequestError("Invalid poll option");
+    }
+
+    // One atomic update, so concurrent voters never overwrite each other
+    const voterId = new mongoose.Types.ObjectId(userId.toString());
+    const selectedIds = selected.map((id) => new mongoose.Types.ObjectId(id));
+
+    return this.updateVoters(
+      message._id,
+      {
+        $pull: { "poll.options.$[unselected].voters": voterId },
+        $addToSet: { "poll.options.$[selected].voters": voterId },
+      },
+      [
+        { "unselected._id": { $nin: selectedIds } },
+        { "selected._id": { $in: selectedIds } },
+      ]
+    );
+  }
+
+  /**
+   * Retract votes (all of the user's votes, or only the given options)
+   */
+  async retractVote(messageId, userId, optionIds = null) {
+    const message = await this.getPollMessage(messageId, userId);
+
+    if (!message.isPollOpen()) {
+      throw new BadRequestError("This poll is closed");
+    }
+
+    const voterId = new mongoose.Types.ObjectId(userId.toString());
+
+    if (!optionIds?.length) {
+      return this.updateVoters(message._id, {
+        $pull: { "poll.options.$[].voters": voterId },
+      });
+    }
+
+    return this.updateVoters(
+      message._id,
+      { $pull: { "poll.options.$[option].voters": voterId } },
+      [
+        {
+          "option._id": {
+            $in: optionIds.map((id) => new mongoose.Types.ObjectId(id)),
+          },
+        },
+      ]
+    );
+  }
+
+  /**
+   * Apply a voters update while the poll is still open and return the
+   * updated poll message
+   */
+  async updateVoters(messageId, update, arrayFilters = undefined) {
+    const message = await Message.findOneAndUpdate(
+      {
+        _id: messageId,
+        "poll.closedAt": null,
+        $or: [
+          { "poll.closesAt": null },
+          { "poll.closesAt": { $gt: new Date() } },
+        ],
+      },
+      update,
+      { new: true, arrayFilters }
+    );
+
+    if (!message) {
+      throw new BadRequestError("This poll is closed");
+    }
+
+    return message;
+  }
+
+  /**
+   * Close a poll and post a system message with the result
+   * closedBy is null when the poll closes on its own schedule
+   */
+  async closePoll(messageId, closedBy = null) {
+    const poll = await Message.findOne({ _id: messageId, type: "poll" });
+
+    if (!poll || poll.isDeleted) {
+      throw new NotFoundError("Poll not found");
+    }
+
+    if (poll.poll.closedAt) {
+      throw new BadRequestError("This poll is already closed");
+    }
+
+    const conversation = await Conversation.findById(poll.conversationId);
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    if (closedBy) {
+      const canClose =
+        poll.senderId.toString() === closedBy.toString() ||
+        conversation.hasAdminPrivileges(closedBy);
+
+      if (!canClose) {
+        throw new ForbiddenError(
+          "Only the poll creator or a group admin can close this poll"
+        );
+      }
+    }
+
+    // Claim the close atomically: a manual close and the scheduled one
+    // can race, and only one may post the result
+    const message = await Message.findOneAndUpdate(
+      { _id: poll._id, "poll.closedAt": null },
+      { $set: { "poll.closedAt": new Date(), "poll.closedBy": closedBy } },
+      { new: true }
+    );
+
+    if (!message) {
+      throw new BadRequestError("This poll is already closed");
+    }
+
+    if (closedBy) {
+      await cancelPollClose(message._id);
+    }
+
+    const results = Message.toPollSummary(message.poll);
+
+    const systemMessage = await messageService.createMessage({
+      senderId: message.senderId.toString(),
+      conversationId: message.conversationId,
+      type: "system",
+      content: this.describeResult(results),
+      metadata: {
+        event: "poll:closed",
+        pollMessageId: message._id,
+        closedBy,
+        results,
+      },
+      // The creator may have left the group since posting the poll
+      requireParticipant: false,
+    });
+
+    return { message, systemMessage, conversation };
+  }
+
+  /**
+   * List voters per option (non-anonymous polls only)
+   */
+  async getVoters(messageId, userId) {
+    const message = await this.getPollMessage(messageId, userId);
+
+    if (message.poll.isAnonymous) {
+      throw new ForbiddenError("Voters are hidden in anonymous polls");
+    }
+
+    await message.populate(
+      "poll.options.voters",
+      "displayName avatar username"
+    );
+
+    return {
+      messageId: message._id,
+      question: message.poll.question,
+      options: message.poll.options.map((option) => ({
+        _id: option._id,
+        text: option.text,
+        votes: option.voters.length,
+        voters: option.voters,
+      })),
+    };
+  }
+
+  /**
+   * Load a poll message the user can see
+   */
+  async getPollMessage(messageId, userId) {
+    const message = await Message.findOne({
+      _id: messageId,
+      type: "poll",
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+    });
+
+    if (!message) {
+      throw new NotFoundError("Poll not found");
+    }
+
+    const isParticipant = await Conversation.exists({
+      _id: message.conversationId,
+      "participants.user": userId,
+    });
+
+    if (!isParticipant) {
+      throw new NotFoundError("Poll not found");
+    }
+
+    return message;
+  }
+
+  /**
+   * Human-readable result line for the closing system message
+   */
+  describeResult(results) {
+    const topVotes = Math.max(...results.options.map((o) => o.votes));
+
+    if (topVotes === 0) {
+      return `📊 Poll closed: "${results.question}" — no votes were cast`;
+    }
+
+    const winners = results.options
+      .filter((o) => o.votes === topVotes)
+      .map((o) => `"${o.text}"`);
+    const votesLabel = `${topVotes} vote${topVotes === 1 ? "" : "s"}`;
+
+    if (winners.length > 1) {
+      return `📊 Poll closed: "${results.question}" — tie between ${winners.join(", ")} (${votesLabel} each)`;
+    }
+
+    return `📊 Poll closed: "${results.question}" — ${winners[0]} won with ${votesLabel}`;
+  }
+}
+
+export const pollService = new PollService();
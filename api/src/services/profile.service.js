@@ -6,6 +6,7 @@ import {
   UnauthorizedError,
 } from "../utils/AppError.js";
 import { emailService } from "./email.service.js";
+import { emailVerificationService } from "./emailVerification.service.js";
 import crypto from "crypto";
 
 export class ProfileService {
@@ -27,7 +28,7 @@ export class ProfileService {
    */
   async updateProfile(userId, updates) {
     console.log("🚀 ~ ProfileService ~ updateProfile ~ userId:", userId)
-    const allowedUpdates = ["displayName", "about", "username"];
+    const allowedUpdates = ["displayName", "about", "username", "email"];
     const actualUpdates = {};
 
     // Filter only allowed fields
@@ -49,9 +50,53 @@ export class ProfileService {
       }
     }
 
+    // A new email address only replaces the current one once verified
+    const $unset = {};
+    if (actualUpdates.email) {
+      const newEmail = actualUpdates.email;
+      delete actualUpdates.email;
+
+      const current = await User.findById(userId).select(
+        "email pendingEmail +password"
+      );
+      if (!current) {
+        throw new NotFoundError("User not found");
+      }
+
+      if (current.email === newEmail) {
+        // Switching back cancels a pending change, and its link with it
+        if (current.pendingEmail) {
+          actualUpdates.pendingEmail = null;
+          Object.assign($unset, {
+            emailVerificationToken: "",
+            emailVerificationExpires: "",
+            emailVerificationAddress: "",
+          });
+        }
+      } else {
+        const isPasswordValid = await current.comparePassword(
+          updates.currentPassword || ""
+        );
+        if (!isPasswordValid) {
+          throw new UnauthorizedError("Current password is incorrect");
+        }
+
+        const existingEmail = await User.findOne({
+          email: newEmail,
+          _id: { $ne: userId },
+        });
+
+        if (existingEmail) {
+          throw new BadRequestError("Email already registered");
+        }
+
+        actualUpdates.pendingEmail = newEmail;
+      }
+    }
+
     const user = await User?.findByIdAndUpdate(
       userId,
-      { $set: actualUpdates },
+      { $set: actualUpdates, ...(Object.keys($unset).length && { $unset }) },
       { new: true, runValidators: true }
     ).select("-password");
 
@@ -59,6 +104,10 @@ export class ProfileService {
       throw new NotFoundError("User not found");
     }
 
+    if (actualUpdates.pendingEmail) {
+      await emailVerificationService.sendVerification(user);
+    }
+
     return user;
   }
 
@@ -0,0 +1,274 @@
+import ScheduledMessage from "../models/ScheduledMessage.js";
+import Conversation from "../models/Conversation.js";
+import { messageService } from "./message.service.js";
+import { groupService } from "./group.service.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import {
+  queueScheduledMessage,
+  rescheduleScheduledMessage,
+  removeScheduledMessage,
+} from "../queues/scheduledMessageQueue.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} from "../utils/AppError.js";
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+/**
+ * Scheduled Message Service
+ * Compose now, send later through the scheduled-messages queue
+ */
+export class ScheduledMessageService {
+  /**
+   * Schedule a message for later delivery
+   */
+  async scheduleMessage({
+    senderId,
+    conversationId,
+    content,
+    type = "text",
+    replyTo = null,
+    scheduledFor,
+  }) {
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      "participants.user": senderId,
+    });
+
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    groupService.assertPermission(conversation, senderId, "sendMessages");
+    await groupService.assertNotTimedOut(conversationId, senderId);
+    this.validateSendTime(scheduledFor);
+
+    const scheduled = await ScheduledMessage.create({
+      conversationId,
+      senderId,
+      content,
+      type,
+      replyTo,
+      scheduledFor,
+    });
+
+    await queueScheduledMessage(scheduled);
+
+    return scheduled;
+  }
+
+  /**
+   * List the user's scheduled messages in a conversation
+   */
+  async getScheduledMessages(conversationId, userId, { status } = {}) {
+    const query = { conversationId, senderId: userId };
+    query.status = status || "scheduled";
+
+    return ScheduledMessage.find(query).sort({ scheduledFor: 1 });
+  }
+
+  /**
+   * Edit content or send time of a pending scheduled message
+   */
+  async updateScheduledMessage(scheduledMessageId, userId, updates) {
+    const scheduled = await this.getOwnPending(scheduledMessageId, userId);
+
+    if (updates.content !== undefined) {
+      scheduled.content = updates.content;
+    }
+
+    const timeChanged = updates.scheduledFor !== undefined;
+    if (timeChanged) {
+      this.validateSendTime(updates.scheduledFor);
+      scheduled.scheduledFor = updates.scheduledFor;
+    }
+
+    await scheduled.save();
+
+    if (timeChanged) {
+      await rescheduleScheduledMessage(scheduled);
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Cancel a pending scheduled message
+   */
+  async cancelScheduledMessage(scheduledMessageId, userId) {
+    // Conditional, so a cancel and a dispatch can't both win
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledMessageId, senderId: userId, status: "scheduled" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+
+    if (!scheduled) {
+      // Throws the reason (not found, or no longer pending)
+      await this.getOwnPending(scheduledMessageId, userId);
+      throw new BadRequestError("Scheduled message is no longer pending");
+    }
+
+    await removeScheduledMessage(scheduled);
+
+    return scheduled;
+  }
+
+  /**
+   * Send a due scheduled message (called by the queue worker)
+   * Returns null when the schedule is no longer pending
+   */
+  async dispatchScheduledMessage(scheduledMessageId) {
+    // Claim the send before posting anything: a cancel, or a retry of a
+    // job that already posted, finds it no longer "scheduled"
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledMessageId, status: "scheduled" },
+      { $set: { status: "sending" } },
+      { new: true }
+    );
+
+    if (!scheduled) {
+      return null;
+    }
+
+    let message;
+    let conversation;
+    try {
+      ({ message, conversation } = await this.postScheduledMessage(scheduled));
+    } catch (error) {
+      // Nothing was posted, so hand the claim back for the retry (or for
+      // markFailed once retries run out)
+      await ScheduledMessage.updateOne(
+        { _id: scheduled._id, status: "sending" },
+        { $set: { status: "scheduled" } }
+      );
+      throw error;
+    }
+
+    scheduled.status = "sent";
+    scheduled.sentMessageId = message._id;
+    scheduled.sentAt = new Date();
+    await scheduled.save();
+
+    return { scheduled, message, conversation };
+  }
+
+  /**
+   * Re-check the sender can still post, then create the message
+   */
+  async postScheduledMessage(scheduled) {
+    const conversation = await Conversation.findById(scheduled.conversationId);
+
+    if (!conversation || conversation.isDeleted) {
+      throw new NotFoundError("Conversation no longer exists");
+    }
+
+    // Sender may have left or been removed since scheduling
+    if (!conversation.isParticipant(scheduled.senderId)) {
+      throw new ForbiddenError(
+        "Sender is no longer a participant in this conversation"
+      );
+    }
+
+    // Group may have become announcement-only in the meantime
+    groupService.assertPermission(
+      conversation,
+      scheduled.senderId,
+      "sendMessages"
+    );
+
+    // ...or the sender may have been timed out
+    await groupService.assertNotTimedOut(
+      scheduled.conversationId,
+      scheduled.senderId,
+      conversation
+    );
+
+    const message = await messageService.createMessage({
+      senderId: scheduled.senderId.toString(),
+      conversationId: scheduled.conversationId,
+      content: scheduled.content,
+      type: scheduled.type,
+      metadata: { ...scheduled.metadata, scheduledMessageId: scheduled._id },
+      replyTo: scheduled.replyTo,
+      // Checked above; scheduled sends don't count against slow mode
+      checkPosting: false,
+    });
+
+    return { message, conversation };
+  }
+
+  /**
+   * Record a failed send and tell the sender
+   */
+  async markFailed(scheduledMessageId, reason) {
+    const scheduled = await ScheduledMessage.findById(scheduledMessageId);
+
+    if (!scheduled || !scheduled.isPending()) {
+      return null;
+    }
+
+    scheduled.status = "failed";
+    scheduled.failureReason = reason;
+    await scheduled.save();
+
+    await connectionManager.emitToUser(
+      scheduled.senderId.toString(),
+      "message:scheduled:failed",
+      {
+        scheduledMessageId: scheduled._id,
+        conversationId: scheduled.conversationId,
+        reason,
+      }
+    );
+
+    return scheduled;
+  }
+
+  /**
+   * Get a pending scheduled message owned by the user
+   */
+  async getOwnPending(scheduledMessageId, userId) {
+    const scheduled = await ScheduledMessage.findOne({
+      _id: scheduledMessageId,
+      senderId: userId,
+    });
+
+    if (!scheduled) {
+      throw new NotFoundError("Scheduled message not found");
+    }
+
+    if (scheduled.status === "sending") {
+      throw new BadRequestError("Scheduled message is being sent");
+    }
+
+    if (!scheduled.isPending()) {
+      throw new BadRequestError(
+        `Scheduled message has already been ${scheduled.status}`
+      );
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Ensure a send time is in the future and within the allowed horizon
+   */
+  validateSendTime(scheduledFor) {
+    const sendAt = new Date(scheduledFor).getTime();
+
+    if (Number.isNaN(sendAt) || sendAt <= Date.now()) {
+      throw new BadRequestError("Scheduled time must be in the future");
+    }
+
+    if (sendAt - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+      throw new BadRequestError(
+        "Messages can be scheduled at most one year ahead"
+      );
+    }
+  }
+}
+
+export const scheduledMessageService = new ScheduledMessageService();
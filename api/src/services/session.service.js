@@ -0,0 +1,176 @@
+import Session from "../models/Session.js";
+import { connectionManager } from "../sockets/managers/ConnectionManager.js";
+import { cacheService } from "./cache.service.js";
+import { NotFoundError } from "../utils/AppError.js";
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+// First match wins, so more specific patterns come first
+const PLATFORM_PATTERNS = [
+  [/iphone|ipad|ipod/i, "ios", "iOS"],
+  [/android/i, "android", "Android"],
+  [/macintosh|mac os x/i, "macos", "macOS"],
+  [/windows/i, "windows", "Windows"],
+  [/linux|x11/i, "linux", "Linux"],
+];
+
+const BROWSER_PATTERNS = [
+  [/edg\//i, "Edge"],
+  [/opr\/|opera/i, "Opera"],
+  [/firefox\//i, "Firefox"],
+  [/chrome\//i, "Chrome"],
+  [/safari\//i, "Safari"],
+];
+
+/**
+ * Best-effort platform and device name from a User-Agent header
+ */
+const describeUserAgent = (userAgent = "") => {
+  const platform = PLATFORM_PATTERNS.find(([pattern]) =>
+    pattern.test(userAgent)
+  );
+  const browser = BROWSER_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+
+  const platformName = platform?.[2];
+  const browserName = browser?.[1];
+
+  return {
+    platform: platform?.[1] || "unknown",
+    deviceName:
+      [browserName, platformName].filter(Boolean).join(" on ") ||
+      "Unknown device",
+  };
+};
+
+/**
+ * Session Service
+ * Lists and revokes a user's login sessions (one per device). Revoking a
+ * session kills its refresh tokens and disconnects its live sockets on
+ * every instance.
+ */
+export class SessionService {
+  /**
+   * Device fields for a new session from the request that started it;
+   * names and platforms sent by the client win over the User-Agent
+   */
+  describeDevice({ ip, userAgent = "", deviceName, platform } = {}) {
+    const detected = describeUserAgent(userAgent);
+
+    return {
+      deviceName: deviceName || detected.deviceName,
+      platform: platform || detected.platform,
+      userAgent: userAgent.slice(0, MAX_USER_AGENT_LENGTH),
+      ip: ip || null,
+    };
+  }
+
+  /**
+   * The user's active sessions, most recently used first
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastActiveAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      _id: session._id,
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      isCurrent: session._id.toString() === currentSessionId?.toString(),
+    }));
+  }
+
+  /**
+   * Check a session can still be used (cached briefly, since every
+   * authenticated request asks; revoking updates the cache)
+   */
+  async isActive(sessionId) {
+    const cached = await cacheService.getSessionActive(sessionId);
+    if (cached !== null) return cached;
+
+    const session = await Session.findById(sessionId).select(
+      "revokedAt expiresAt"
+    );
+    const active = Boolean(session?.isActive());
+
+    await cacheService.cacheSessionActive(sessionId, active);
+    return active;
+  }
+
+  /**
+   * Note that a session was just used (socket connection)
+   */
+  async recordActivity(sessionId, { ip, userAgent } = {}) {
+    const $set = { lastActiveAt: new Date() };
+    if (ip) $set.ip = ip;
+    if (userAgent) $set.userAgent = userAgent.slice(0, MAX_USER_AGENT_LENGTH);
+
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set });
+  }
+
+  /**
+   * Log one of the user's devices out
+   */
+  async revokeUserSession(userId, sessionId) {
+    const revoked = await this.revokeSession(userId, sessionId, "revoked");
+
+    if (!revoked) {
+      throw new NotFoundError("Session not found");
+    }
+
+    return { sessionId };
+  }
+
+  /**
+   * Log out every device except the one making the request
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      // Tokens issued before sessions existed have no current session
+      ...(currentSessionId && { _id: { $ne: currentSessionId } }),
+    }).select("_id");
+
+    const sessionIds = sessions.map((session) => session._id);
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+    );
+
+    for (const sessionId of sessionIds) {
+      await cacheService.cacheSessionActive(sessionId, false);
+      await connectionManager.disconnectSession(userId, sessionId);
+    }
+
+    return { revokedCount: sessionIds.length };
+  }
+
+  /**
+   * Revoke a session so none of its refresh tokens work any more, and
+   * drop its sockets. Returns whether an active session was revoked
+   */
+  async revokeSession(userId, sessionId, reason) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    await cacheService.cacheSessionActive(sessionId, false);
+    await connectionManager.disconnectSession(userId, sessionId);
+    return true;
+  }
+}
+
+export const sessionService = new SessionService();
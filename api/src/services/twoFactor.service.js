@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import User from "../models/user.js";
+import { generateSecret, buildOtpAuthUri, verifyCode } from "../utils/totp.js";
+import {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError,
+} from "../utils/AppError.js";
+
+const TOTP_ISSUER = "Nimbus Messenger";
+const BACKUP_CODE_COUNT = 10;
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+// Backup codes are shown as xxxxx-xxxxx but compared without formatting
+const hashBackupCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Two-Factor Service
+ * Optional TOTP second factor: enrollment, one-time backup codes, and
+ * the code check used by the second login step
+ */
+export class TwoFactorService {
+  /**
+   * Whether 2FA is on and how many backup codes are left
+   */
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+    };
+  }
+
+  /**
+   * Start enrollment with a fresh secret; nothing changes for login until
+   * it's confirmed with a code
+   */
+  async setup(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new ConflictError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.secret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, user.email, TOTP_ISSUER),
+    };
+  }
+
+  /**
+   * Turn 2FA on with the first code from the authenticator app
+   * Backup codes are only ever returned here and on regeneration
+   */
+  async confirm(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new ConflictError("Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactor.secret) {
+      throw new BadRequestError("Start two-factor setup first");
+    }
+
+    if (!this.verifyUserCode(user, code, { allowBackupCode: false })) {
+      throw new BadRequestError("Invalid verification code");
+    }
+
+    const backupCodes = this.generateBackupCodes(user);
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return { enabled: true, backupCodes };
+  }
+
+  /**
+   * Replace all backup codes (needs a code from the authenticator app)
+   */
+  async regenerateBackupCodes(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (!user.twoFactor.enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+
+    if (!this.verifyUserCode(user, code, { allowBackupCode: false })) {
+      throw new UnauthorizedError("Invalid verification code");
+    }
+
+    const backupCodes = this.generateBackupCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    return { backupCodes };
+  }
+
+  /**
+   * Turn 2FA off (needs the password and a code or backup code)
+   */
+  async disable(userId, password, code) {
+    const user = await this.getUser(userId, "+password");
+
+    if (!user.twoFactor.enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new UnauthorizedError("Password is incorrect");
+    }
+
+    if (!this.verifyUserCode(user, code)) {
+      throw new UnauthorizedError("Invalid verification code");
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      backupCodes: [],
+      lastUsedStep: null,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    return { enabled: false };
+  }
+
+  /**
+   * Second login step: check the code of a user who passed the password
+   * step, and return the user
+   */
+  async verifyLogin(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+
+    if (!user || !user.twoFactor.enabled) {
+      throw new UnauthorizedError("Invalid or expired login challenge");
+    }
+
+    if (!this.verifyUserCode(user, code)) {
+      throw new UnauthorizedError("Invalid verification code");
+    }
+
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Load a user with their 2FA secrets
+   */
+  async getUser(userId, extraFields = "") {
+    const user = await User.findById(userId).select(
+      `${SECRET_FIELDS} ${extraFields}`.trim()
+    );
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    return user;
+  }
+
+  /**
+   * Check an authenticator or backup code and mark it used on the
+   * document (callers save). Each TOTP step and backup code works once
+   */
+  verifyUserCode(user, code, { allowBackupCode = true } = {}) {
+    const { twoFactor } = user;
+
+    const step = verifyCode(twoFactor.secret, code);
+    if (step !== null) {
+      if (twoFactor.lastUsedStep !== null && step <= twoFactor.lastUsedStep) {
+        return false;
+      }
+      twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    if (!allowBackupCode) return false;
+
+    const index = twoFactor.backupCodes.indexOf(hashBackupCode(code));
+    if (index === -1) return false;
+
+    twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * New set of backup codes; stores their hashes and returns the codes
+   */
+  generateBackupCodes(user) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.twoFactor.backupCodes = codes.map(hashBackupCode);
+    return codes;
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
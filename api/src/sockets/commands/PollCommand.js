@@ -0,0 +1,151 @@
+import Message from "../../models/Message.js";
+import { pollService } from "../../services/poll.service.js";
+import { SendMessageCommand } from "./SendMessageCommand.js";
+
+export class PollCommand {
+  constructor(io, connectionManager) {
+    this.io = io;
+    this.connectionManager = connectionManager;
+    this.sendMessageCommand = new SendMessageCommand(io, connectionManager);
+  }
+
+  /**
+   * Create a poll and fan it out like any other new message
+   */
+  async create(socket, data) {
+    try {
+      const senderId = socket.user.userId;
+      const {
+        conversationId,
+        question,
+        options,
+        allowMultiple,
+        isAnonymous,
+        closesAt,
+      } = data;
+
+      const { message, conversation } = await pollService.createPoll({
+        senderId,
+        conversationId,
+        question,
+        options,
+        allowMultiple,
+        isAnonymous,
+        closesAt,
+      });
+
+      await this.sendMessageCommand.broadcast(conversation, message, senderId);
+
+      socket.emit("poll:create:success", {
+        conversationId,
+        messageId: message._id,
+      });
+    } catch (error) {
+      this.emitError(socket, "poll:create", error);
+    }
+  }
+
+  /**
+   * Vote and broadcast live tallies
+   */
+  async vote(socket, data) {
+    try {
+      const userId = socket.user.userId;
+      const { messageId, optionIds } = data;
+
+      const message = await pollService.vote(messageId, userId, optionIds);
+
+      this.emitTally(message);
+
+      socket.emit("poll:vote:success", {
+        messageId: message._id,
+        votedOptionIds: Message.toPollSummary(message.poll, userId)
+          .votedOptionIds,
+      });
+    } catch (error) {
+      this.emitError(socket, "poll:vote", error);
+    }
+  }
+
+  /**
+   * Retract votes and broadcast live tallies
+   */
+  async retract(socket, data) {
+    try {
+      const userId = socket.user.userId;
+      const { messageId, optionIds } = data;
+
+      const message = await pollService.retractVote(
+        messageId,
+        userId,
+        optionIds
+      );
+
+      this.emitTally(message);
+
+      socket.emit("poll:retract:success", {
+        messageId: message._id,
+        votedOptionIds: Message.toPollSummary(message.poll, userId)
+          .votedOptionIds,
+      });
+    } catch (error) {
+      this.emitError(socket, "poll:retract", error);
+    }
+  }
+
+  /**
+   * Close a poll early (creator or admin)
+   */
+  async close(socket, data) {
+    try {
+      const userId = socket.user.userId;
+      const { messageId } = data;
+
+      const result = await pollService.closePoll(messageId, userId);
+
+      await this.announceClosed(result);
+    } catch (error) {
+      this.emitError(socket, "poll:close", error);
+    }
+  }
+
+  /**
+   * Broadcast final tallies and post the result as a system message
+   */
+  async announceClosed({ message, systemMessage, conversation }) {
+    this.io.to(`conversation:${conversation._id}`).emit("poll:closed", {
+      conversationId: conversation._id,
+      messageId: message._id,
+      results: Message.toPollSummary(message.poll),
+      closedBy: message.poll.closedBy,
+    });
+
+    // System message is posted on behalf of the poll creator
+    await this.sendMessageCommand.broadcast(
+      conversation,
+      systemMessage,
+      message.senderId.toString()
+    );
+  }
+
+  /**
+   * Live tallies to the conversation room (never voter IDs)
+   */
+  emitTally(message) {
+    this.io.to(`conversation:${message.conversationId}`).emit("poll:updated", {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      results: Message.toPollSummary(message.poll),
+    });
+  }
+
+  emitError(socket, event, error) {
+    console.error(`❌ ${event} error:`, error);
+    socket.emit("error", {
+      event,
+      message: error.message,
+      code: error.code,
+      retryAfter: error.retryAfter ?? undefined,
+    });
+  }
+}
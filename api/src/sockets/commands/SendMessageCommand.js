@@ -1,6 +1,15 @@
 import Conversation from "../../models/Conversation.js";
+import User from "../../models/user.js";
 import { messageService } from "../../services/message.service.js";
-import { messageDeliveryQueue } from "../../queues/messageDeliveryQueue.js";
+import {
+  queueMessageDelivery,
+  DELIVERY_PRIORITY,
+} from "../../queues/messageDeliveryQueue.js";
+import { ForbiddenError, TooManyRequestsError } from "../../utils/AppError.js";
+
+// @username, or @all / @here for the whole group (online members for @here)
+const MENTION_PATTERN = /(?:^|[^\w.@-])@([a-zA-Z0-9._-]{3,30})/g;
+const GROUP_MENTIONS = ["all", "here"];
 
 export class SendMessageCommand {
   constructor(io, connectionManager) {
@@ -36,71 +45,171 @@ export class SendMessageCommand {
         return;
       }
 
-      // Create message using service
+      const mentions =
+        type === "text"
+          ? await this.resolveMentions(conversation, content, senderId)
+          : [];
+
+      // Create message using service (announcement-only groups, timeouts
+      // and slow mode are enforced there, with retryAfter on error)
       const message = await messageService.createMessage({
         conversationId,
         senderId,
         content,
         type,
+        mentions,
       });
 
-      // Populate sender details
-      await message.populate("senderId", "displayName avatar username email");
+      await this.broadcast(conversation, message, senderId);
+    } catch (error) {
+      console.error("❌ SendMessageCommand Error:", error);
 
-      // Update conversation's last message
-      conversation.lastMessage = message?._id;
-      conversation.updatedAt = new Date();
-      await conversation.save();
+      // Permission, timeout and slow-mode errors carry their own code
+      if (
+        error instanceof ForbiddenError ||
+        error instanceof TooManyRequestsError
+      ) {
+        socket.emit("error", {
+          message: error.message,
+          code: error.code,
+          retryAfter: error.retryAfter ?? undefined,
+        });
+        return;
+      }
 
-      // Get recipient IDs (all participants except sender)
-      const recipientIds = conversation?.participants
-        .map((p) => p.user.toString())
-        .filter((id) => id !== senderId.toString());
+      // Send error to client
+      socket.emit("error", {
+        message: "Failed to send message",
+        code: "MESSAGE_SEND_FAILED",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
 
-      // Emit to sender's all devices immediately
-      const senderSocketIds =
-        await this.connectionManager.getUserSockets(senderId);
-      senderSocketIds.forEach((socketId) => {
-        this.io.to(socketId).emit("message:new", {
-          message: message.toObject(),
-          conversationId,
-        });
+  /**
+   * Fan a stored message out to the sender's devices and queue delivery
+   * to every other participant
+   */
+  async broadcast(conversation, message, senderId) {
+    const conversationId = conversation._id.toString();
+
+    // Populate sender details
+    await message.populate("senderId", "displayName avatar username email");
+
+    const mentionedIds = (message.mentions || []).map((id) => id.toString());
+
+    // Get recipients (all participants except sender)
+    const recipients = conversation?.participants.filter(
+      (p) => p.user.toString() !== senderId.toString()
+    );
+
+    // Emit to sender's all devices immediately
+    const senderSocketIds =
+      await this.connectionManager.getUserSocketIds(senderId);
+    senderSocketIds.forEach((socketId) => {
+      this.io.to(socketId).emit("message:new", {
+        message: message.toObject(),
+        conversationId,
       });
+    });
+
+    // Queue message delivery for each recipient
+    for (const participant of recipients) {
+      const recipientId = participant.user.toString();
+      const mentioned = mentionedIds.includes(recipientId);
 
-      // Queue message delivery for each recipient
-      for (const recipientId of recipientIds) {
-        await messageDeliveryQueue.add("deliver-message", {
-          messageId: message._id.toString(),
-          recipientId,
+      await queueMessageDelivery(
+        recipientId,
+        "message:new",
+        {
+          message: message.toObject(),
           conversationId,
-        });
-      }
+          mentioned,
+          // Mentions get through even when the conversation is muted (the
+          // delivery worker sends notification:new only when set)
+          notify: !conversation.isMutedFor(recipientId) || mentioned,
+        },
+        message._id.toString(),
+        mentioned ? DELIVERY_PRIORITY.MENTION : DELIVERY_PRIORITY.NORMAL
+      );
+    }
 
-      // Mark message as sent
-      message.status = "sent";
-      await message.save();
+    // Targeted "@" badge update for mentioned users (createMessage
+    // already counted the mention)
+    const { mentionCount } = mentionedIds.length
+      ? await Conversation.findById(conversation._id).select("mentionCount")
+      : {};
 
-      // Emit delivery status update to sender
-      senderSocketIds.forEach((socketId) => {
-        this.io.to(socketId).emit("message:status", {
-          messageId: message._id,
-          status: "sent",
-        });
+    for (const mentionedId of mentionedIds) {
+      await this.connectionManager.emitToUser(mentionedId, "mention:new", {
+        messageId: message._id,
+        conversationId,
+        senderId,
+        mentionCount: mentionCount?.get(mentionedId) || 0,
       });
+    }
 
-      console.log(
-        `✅ Message ${message._id} queued for ${recipientIds.length} recipients`
-      );
-    } catch (error) {
-      console.error("❌ SendMessageCommand Error:", error);
+    // Mark message as sent
+    message.status = "sent";
+    await message.save();
 
-      // Send error to client
-      socket.emit("error", {
-        message: "Failed to send message",
-        code: "MESSAGE_SEND_FAILED",
-        details:
-          process.env.NODE_ENV === "development" ? error.message : undefined,
+    // Emit delivery status update to sender
+    senderSocketIds.forEach((socketId) => {
+      this.io.to(socketId).emit("message:status", {
+        messageId: message._id,
+        status: "sent",
       });
+    });
+
+    console.log(
+      `✅ Message ${message._id} queued for ${recipients.length} recipients`
+    );
+  }
+
+  /**
+   * Resolve @username, @all and @here in a group message to user IDs
+   * (the sender is never mentioned)
+   */
+  async resolveMentions(conversation, content, senderId) {
+    if (conversation.type !== "group" || typeof content !== "string") {
+      return [];
+    }
+
+    const tokens = new Set();
+    for (const [, token] of content.matchAll(MENTION_PATTERN)) {
+      tokens.add(token.replace(/[.-]+$/, "")); // "@alice." ends a sentence
+    }
+
+    if (tokens.size === 0) return [];
+
+    const otherIds = conversation.participants
+      .map((p) => p.user.toString())
+      .filter((id) => id !== senderId.toString());
+    const mentioned = new Set();
+
+    if (tokens.has("all")) {
+      otherIds.forEach((id) => mentioned.add(id));
+    } else if (tokens.has("here")) {
+      for (const id of otherIds) {
+        if (await this.connectionManager.isUserOnline(id)) {
+          mentioned.add(id);
+        }
+      }
     }
+
+    const usernames = [...tokens].filter((t) => !GROUP_MENTIONS.includes(t));
+    if (usernames.length > 0) {
+      const users = await User.find({
+        _id: { $in: otherIds },
+        username: { $in: usernames },
+      })
+        .select("_id")
+        .lean();
+
+      users.forEach((user) => mentioned.add(user._id.toString()));
+    }
+
+    return [...mentioned];
   }
 }
@@ -7,15 +7,27 @@ import { connectionManager } from "./managers/ConnectionManager.js";
 import { messageQueue } from "./managers/MessageQueue.js";
 import { SendMessageCommand } from "./commands/SendMessageCommand.js";
 import { TypingCommand } from "./commands/typingCommand.js";
+import { PollCommand } from "./commands/PollCommand.js";
 import { pubClient, subClient } from "../config/redis.js";
 import { messageService } from "../services/message.service.js";
 import { userService } from "../services/user.service.js";
 import { groupService } from "../services/group.service.js";
+import { conversationService } from "../services/conversation.service.js";
 import {
   createMessageDeliveryWorker,
   getQueueStats,
 } from "../queues/messageDeliveryQueue.js";
+import { createScheduledMessageWorker } from "../queues/scheduledMessageQueue.js";
+import { createPollCloseWorker } from "../queues/pollQueue.js";
+import { createLinkPreviewWorker } from "../queues/linkPreviewQueue.js";
+import { createMuteExpiryWorker } from "../queues/muteExpiryQueue.js";
+import {
+  createMessageExpiryWorker,
+  scheduleMessageExpirySweep,
+} from "../queues/messageExpiryQueue.js";
 import Conversation from "../models/Conversation.js";
+import { searchMessagesSchema } from "../validators/message.validator.js";
+import { ValidationError } from "../utils/AppError.js";
 
 /**
  * Initialize Socket.IO with complete scalability setup
@@ -79,6 +91,34 @@ export const initializeSocket = (httpServer) => {
   // Store worker reference for graceful shutdown
   io.worker = messageDeliveryWorker;
 
+  const scheduledMessageWorker = createScheduledMessageWorker(io);
+  console.log("✅ BullMQ scheduled message worker started");
+
+  io.scheduledWorker = scheduledMessageWorker;
+
+  const pollCloseWorker = createPollCloseWorker(io);
+  console.log("✅ BullMQ poll close worker started");
+
+  io.pollCloseWorker = pollCloseWorker;
+
+  const linkPreviewWorker = createLinkPreviewWorker(io);
+  console.log("✅ BullMQ link preview worker started");
+
+  io.linkPreviewWorker = linkPreviewWorker;
+
+  const messageExpiryWorker = createMessageExpiryWorker(io);
+  scheduleMessageExpirySweep().catch((error) =>
+    console.error("❌ Failed to schedule message expiry sweep:", error)
+  );
+  console.log("✅ BullMQ message expiry worker started");
+
+  io.messageExpiryWorker = messageExpiryWorker;
+
+  const muteExpiryWorker = createMuteExpiryWorker();
+  console.log("✅ BullMQ mute expiry worker started");
+
+  io.muteExpiryWorker = muteExpiryWorker;
+
   // ============ CROSS-INSTANCE PUB/SUB ============
   const crossInstanceSubscriber = connectionManager.subscribeToEmits(io);
   console.log("✅ Cross-instance pub/sub subscribed");
@@ -99,8 +139,9 @@ export const initializeSocket = (httpServer) => {
   io.use(sanitizeSocketInput);
 
   // ============ COMMAND HANDLERS ============
-  const sendMessageCommand = new SendMessageCommand(io);
+  const sendMessageCommand = new SendMessageCommand(io, connectionManager);
   const typingCommand = new TypingCommand(io);
+  const pollCommand = new PollCommand(io, connectionManager);
 
   // ============ CONNECTION HANDLER ============
   io.on("connection", async (socket) => {
@@ -193,6 +234,111 @@ export const initializeSocket = (httpServer) => {
         }
       });
 
+      /**
+       * 🔍 Search messages across the user's conversations
+       */
+      socket.on("message:search", async (data) => {
+        try {
+          // Same rules as GET /messages/search
+          const { error, value } = searchMessagesSchema.validate(data ?? {}, {
+            stripUnknown: true,
+          });
+          if (error) throw new ValidationError(error.details[0].message);
+
+          const { q, ...filters } = value;
+
+          const result = await messageService.searchMessages(
+            userId,
+            q,
+            filters
+          );
+
+          socket.emit("message:search:results", { q, ...result });
+        } catch (error) {
+          console.error("message:search error:", error);
+          socket.emit("error", {
+            event: "message:search",
+            message: error.message,
+          });
+        }
+      });
+
+      /**
+       * ↪️ Forward message to one or more conversations
+       */
+      socket.on("message:forward", async (data) => {
+        try {
+          const { messageId, conversationIds } = data;
+
+          const results = await messageService.forwardMessage(
+            messageId,
+            userId,
+            conversationIds
+          );
+
+          for (const { conversation, message } of results) {
+            await sendMessageCommand.broadcast(conversation, message, userId);
+          }
+
+          socket.emit("message:forward:success", {
+            messageId,
+            forwarded: results.map(({ conversation, message }) => ({
+              conversationId: conversation._id,
+              messageId: message._id,
+            })),
+          });
+        } catch (error) {
+          console.error("message:forward error:", error);
+          socket.emit("error", {
+            event: "message:forward",
+            message: error.message,
+            code: error.code,
+            retryAfter: error.retryAfter ?? undefined,
+          });
+        }
+      });
+
+      /**
+       * ⭐ Star / unstar a message (synced to the user's other devices)
+       */
+      socket.on("message:star", async (data) => {
+        try {
+          const { messageId } = data;
+
+          const message = await messageService.starMessage(messageId, userId);
+
+          await connectionManager.emitToUser(userId, "message:starred", {
+            messageId: message._id,
+            conversationId: message.conversationId,
+          });
+        } catch (error) {
+          console.error("message:star error:", error);
+          socket.emit("error", {
+            event: "message:star",
+            message: error.message,
+          });
+        }
+      });
+
+      socket.on("message:unstar", async (data) => {
+        try {
+          const { messageId } = data;
+
+          const message = await messageService.unstarMessage(messageId, userId);
+
+          await connectionManager.emitToUser(userId, "message:unstarred", {
+            messageId: message._id,
+            conversationId: message.conversationId,
+          });
+        } catch (error) {
+          console.error("message:unstar error:", error);
+          socket.emit("error", {
+            event: "message:unstar",
+            message: error.message,
+          });
+        }
+      });
+
       /**
        * Mark message as read
        */
@@ -232,6 +378,116 @@ export const initializeSocket = (httpServer) => {
         }
       });
 
+      // ================== 🧵 THREADS ==================
+
+      /**
+       * 🧵 Reply in a thread (does not touch the conversation's lastMessage)
+       */
+      socket.on("thread:reply", async (data) => {
+        try {
+          const { rootMessageId, content, type = "text" } = data;
+
+          if (!rootMessageId || !content) {
+            return socket.emit("error", {
+              event: "thread:reply",
+              message: "Root message ID and content are required",
+            });
+          }
+
+          if (!["text", "emoji"].includes(type)) {
+            return socket.emit("error", {
+              event: "thread:reply",
+              message: "Thread replies must be text or emoji",
+            });
+          }
+
+          const { reply, root, conversation } =
+            await messageService.createThreadReply({
+              senderId: userId,
+              rootMessageId,
+              content,
+              type,
+            });
+
+          // Emit to all participants, each with their own thread unread count
+          const allParticipants = conversation.participants.map((p) =>
+            p.user.toString()
+          );
+
+          for (const participantId of allParticipants) {
+            await connectionManager.emitToUser(participantId, "thread:reply", {
+              conversationId: conversation._id,
+              rootMessageId: root._id,
+              message: reply.toObject(),
+              thread: {
+                replyCount: root.thread.replyCount,
+                lastReplyAt: root.thread.lastReplyAt,
+                unreadCount: root.thread.unreadCount.get(participantId) || 0,
+              },
+            });
+          }
+
+          // Acknowledge to sender
+          socket.emit("thread:reply:success", {
+            rootMessageId: root._id,
+            messageId: reply._id,
+          });
+        } catch (error) {
+          console.error("thread:reply error:", error);
+          socket.emit("error", {
+            event: "thread:reply",
+            message: error.message,
+            code: error.code,
+            retryAfter: error.retryAfter ?? undefined,
+          });
+        }
+      });
+
+      /**
+       * 🧵 Mark a thread as read
+       */
+      socket.on("thread:read", async (data) => {
+        try {
+          const { rootMessageId } = data;
+
+          const result = await messageService.markThreadAsRead(
+            rootMessageId,
+            userId
+          );
+
+          // Sync read state across the user's devices
+          await connectionManager.emitToUser(userId, "thread:read", {
+            rootMessageId: result.messageId,
+            conversationId: result.conversationId,
+            unreadCount: 0,
+          });
+        } catch (error) {
+          console.error("thread:read error:", error);
+          socket.emit("error", {
+            event: "thread:read",
+            message: error.message,
+          });
+        }
+      });
+
+      // ================== 📊 POLLS ==================
+
+      socket.on("poll:create", async (data) => {
+        await pollCommand.create(socket, data);
+      });
+
+      socket.on("poll:vote", async (data) => {
+        await pollCommand.vote(socket, data);
+      });
+
+      socket.on("poll:retract", async (data) => {
+        await pollCommand.retract(socket, data);
+      });
+
+      socket.on("poll:close", async (data) => {
+        await pollCommand.close(socket, data);
+      });
+
       // ================== 🆕 PHASE 3: EDIT/DELETE/REACTIONS ==================
 
       /**
@@ -276,6 +532,8 @@ export const initializeSocket = (httpServer) => {
                 messageId: message._id,
                 conversationId,
                 content: message.content,
+                previousContent: message.revisions.at(-1)?.content ?? null,
+                revisionCount: message.revisions.length,
                 edited: message.edited,
                 updatedAt: message.updatedAt,
               }
@@ -324,7 +582,8 @@ export const initializeSocket = (httpServer) => {
       });
 
       /**
-       * 🗑️ Delete message for everyone (sender only, within 1 hour)
+       * 🗑️ Delete message for everyone (sender within 1 hour, or a group
+       * member allowed to delete messages)
        */
       socket.on("message:delete:everyone", async (data) => {
         try {
@@ -428,6 +687,8 @@ export const initializeSocket = (httpServer) => {
           socket.emit("error", {
             event: "message:react",
             message: error.message,
+            code: error.code,
+            retryAfter: error.retryAfter ?? undefined,
           });
         }
       });
@@ -557,6 +818,49 @@ export const initializeSocket = (httpServer) => {
         console.log(`📂 User ${userId} left conversation: ${conversationId}`);
       });
 
+      /**
+       * ⏳ Turn disappearing messages on (TTL in seconds) or off (null)
+       */
+      socket.on("conversation:disappearing", async (data) => {
+        try {
+          const { conversationId, messageTTL = null } = data;
+
+          const { settings, systemMessage, conversation } =
+            await conversationService.setDisappearingMessages(
+              conversationId,
+              userId,
+              messageTTL
+            );
+
+          io.broadcastToConversation(
+            conversationId,
+            "conversation:disappearing-updated",
+            {
+              conversationId,
+              ...settings,
+              updatedBy: userId,
+            }
+          );
+          await sendMessageCommand.broadcast(
+            conversation,
+            systemMessage,
+            userId
+          );
+
+          socket.emit("conversation:disappearing:success", {
+            conversationId,
+            ...settings,
+          });
+        } catch (error) {
+          console.error("conversation:disappearing error:", error);
+          socket.emit("error", {
+            event: "conversation:disappearing",
+            message: error.message,
+            code: error.code,
+          });
+        }
+      });
+
       // ================== 🚫 PHASE 4: BLOCK/UNBLOCK ==================
 
       /**
@@ -685,6 +989,7 @@ export const initializeSocket = (httpServer) => {
           socket.emit("error", {
             event: "group:add-participants",
             message: error.message,
+            code: error.code,
           });
         }
       });
@@ -811,125 +1116,39 @@ export const initializeSocket = (httpServer) => {
       });
 
       /**
-       * 👑 Promote user to admin
+       * 🎭 Assign a member's role (member / moderator / admin + custom role)
        */
-      socket.on("group:promote-admin", async (data) => {
+      socket.on("group:assign-role", async (data) => {
         try {
-          const { conversationId, targetUserId } = data;
+          const { conversationId, targetUserId, role, customRoleId } = data;
 
-          console.log(
-            "🚀 ~ group:promote-admin ~ conversationId:",
-            conversationId
-          );
-          console.log("🚀 ~ group:promote-admin ~ targetUserId:", targetUserId);
-          console.log("🚀 ~ group:promote-admin ~ ownerId:", userId);
-
-          // Promote to admin
-          await groupService.promoteToAdmin(
+          const result = await groupService.assignRole(
             conversationId,
             userId,
-            targetUserId
+            targetUserId,
+            { role, customRoleId }
           );
 
-          // Get updated conversation
-          const conversation = await Conversation.findById(conversationId)
-            .populate("participants.user", "username displayName avatar")
-            .lean();
-
-          // Notify all participants
-          const allParticipants = conversation.participants.map((p) =>
-            p.user._id.toString()
-          );
-
-          for (const participantId of allParticipants) {
-            await connectionManager.emitToUser(
-              participantId,
-              "group:admin-promoted",
-              {
-                conversationId,
-                promotedUserId: targetUserId,
-                promotedBy: userId,
-                admins: conversation.admins,
-              }
-            );
-          }
-
-          // Confirm to owner
-          socket.emit("group:promote-admin:success", {
+          io.broadcastToConversation(conversationId, "group:role-updated", {
             conversationId,
-            promotedUserId: targetUserId,
+            userId: targetUserId,
+            role: result.role,
+            customRole: result.customRole,
+            updatedBy: userId,
           });
 
-          console.log(
-            `✅ User ${targetUserId} promoted to admin in group ${conversationId}`
-          );
-        } catch (error) {
-          console.error("group:promote-admin error:", error);
-          socket.emit("error", {
-            event: "group:promote-admin",
-            message: error.message,
-          });
-        }
-      });
-
-      /**
-       * 📉 Demote admin to member
-       */
-      socket.on("group:demote-admin", async (data) => {
-        try {
-          const { conversationId, targetUserId } = data;
-
-          console.log(
-            "🚀 ~ group:demote-admin ~ conversationId:",
-            conversationId
-          );
-          console.log("🚀 ~ group:demote-admin ~ targetUserId:", targetUserId);
-          console.log("🚀 ~ group:demote-admin ~ ownerId:", userId);
-
-          // Demote from admin
-          await groupService.demoteFromAdmin(
+          socket.emit("group:assign-role:success", {
             conversationId,
-            userId,
-            targetUserId
-          );
-
-          // Get updated conversation
-          const conversation = await Conversation.findById(conversationId)
-            .populate("participants.user", "username displayName avatar")
-            .lean();
-
-          // Notify all participants
-          const allParticipants = conversation.participants.map((p) =>
-            p.user._id.toString()
-          );
-
-          for (const participantId of allParticipants) {
-            await connectionManager.emitToUser(
-              participantId,
-              "group:admin-demoted",
-              {
-                conversationId,
-                demotedUserId: targetUserId,
-                demotedBy: userId,
-                admins: conversation.admins,
-              }
-            );
-          }
-
-          // Confirm to owner
-          socket.emit("group:demote-admin:success", {
-            conversationId,
-            demotedUserId: targetUserId,
+            userId: targetUserId,
+            role: result.role,
+            customRole: result.customRole,
           });
-
-          console.log(
-            `✅ User ${targetUserId} demoted from admin in group ${conversationId}`
-          );
         } catch (error) {
-          console.error("group:demote-admin error:", error);
+          console.error("group:assign-role error:", error);
           socket.emit("error", {
-            event: "group:demote-admin",
+            event: "group:assign-role",
             message: error.message,
+            code: error.code,
           });
         }
       });
@@ -996,6 +1215,7 @@ export const initializeSocket = (httpServer) => {
           socket.emit("error", {
             event: "group:update-info",
             message: error.message,
+            code: error.code,
           });
         }
       });
@@ -1045,7 +1265,6 @@ export const initializeSocket = (httpServer) => {
                 conversationId,
                 newOwnerId,
                 previousOwnerId: userId,
-                admins: conversation.admins,
               }
             );
           }
@@ -1252,6 +1471,31 @@ export const initializeSocket = (httpServer) => {
         console.log("✅ BullMQ worker closed");
       }
 
+      if (io.scheduledWorker) {
+        await io.scheduledWorker.close();
+        console.log("✅ BullMQ scheduled message worker closed");
+      }
+
+      if (io.pollCloseWorker) {
+        await io.pollCloseWorker.close();
+        console.log("✅ BullMQ poll close worker closed");
+      }
+
+      if (io.linkPreviewWorker) {
+        await io.linkPreviewWorker.close();
+        console.log("✅ BullMQ link preview worker closed");
+      }
+
+      if (io.messageExpiryWorker) {
+        await io.messageExpiryWorker.close();
+        console.log("✅ BullMQ message expiry worker closed");
+      }
+
+      if (io.muteExpiryWorker) {
+        await io.muteExpiryWorker.close();
+        console.log("✅ BullMQ mute expiry worker closed");
+      }
+
       // Close cross-instance subscriber
       if (io.crossInstanceSubscriber) {
         await io.crossInstanceSubscriber.quit();
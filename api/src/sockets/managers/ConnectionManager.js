@@ -1,5 +1,6 @@
 // api/src/sockets/managers/ConnectionManager.js
 import { cacheClient } from "../../config/redis.js";
+import { sessionService } from "../../services/session.service.js";
 
 /**
  * ConnectionManager - Redis-backed connection tracking
@@ -48,6 +49,14 @@ export class ConnectionManager {
       // Mark user as online
       await this.setOnline(userId);
 
+      // Show the connection as activity on the device's session
+      if (socket.sessionId) {
+        await sessionService.recordActivity(socket.sessionId, {
+          ip: socket.handshake.address,
+          userAgent: socket.handshake.headers["user-agent"],
+        });
+      }
+
       // Get total device count across all instances
       const deviceCount = await this.redis.scard(`user:sockets:${userId}`);
       console.log(
@@ -169,6 +178,43 @@ export class ConnectionManager {
     }
   }
 
+  /**
+   * Disconnect a session's sockets across all instances via Redis pub/sub
+   */
+  async disconnectSession(userId, sessionId) {
+    try {
+      const message = {
+        targetUserId: userId.toString(),
+        sessionId: sessionId.toString(),
+        fromInstance: this.instanceId,
+        timestamp: Date.now(),
+      };
+
+      await this.redis.publish("socket:disconnect", JSON.stringify(message));
+
+      return true;
+    } catch (error) {
+      console.error("ConnectionManager disconnectSession error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Disconnect a session's sockets on this instance
+   */
+  disconnectLocalSession(userId, sessionId) {
+    const sockets = this.getLocalUserSockets(userId).filter(
+      (socket) => socket.sessionId === sessionId
+    );
+
+    sockets.forEach((socket) => {
+      socket.emit("session:revoked", { sessionId });
+      socket.disconnect(true);
+    });
+
+    return sockets.length;
+  }
+
   /**
    * Subscribe to cross-instance messages
    */
@@ -176,9 +222,9 @@ export class ConnectionManager {
     // Create subscriber client
     const subscriber = this.redis.duplicate();
 
-    subscriber.subscribe("socket:emit", (err) => {
+    subscriber.subscribe("socket:emit", "socket:disconnect", (err) => {
       if (err) {
-        console.error("Failed to subscribe to socket:emit:", err);
+        console.error("Failed to subscribe to cross-instance channels:", err);
       } else {
         console.log("✅ Subscribed to cross-instance socket emissions");
       }
@@ -186,6 +232,18 @@ export class ConnectionManager {
 
     subscriber.on("message", async (channel, message) => {
       try {
+        if (channel === "socket:disconnect") {
+          const { targetUserId, sessionId } = JSON.parse(message);
+
+          const count = this.disconnectLocalSession(targetUserId, sessionId);
+          if (count > 0) {
+            console.log(
+              `🔒 Disconnected ${count} local sockets of revoked session ${sessionId}`
+            );
+          }
+          return;
+        }
+
         const { targetUserId, event, data, fromInstance } = JSON.parse(message);
 
         // Only emit if this instance has sockets for the target user
@@ -291,14 +349,19 @@ export class ConnectionManager {
 
       userIds.forEach((userId) => {
         pipeline.sismember("users:online", userId);
+        pipeline.hget("presence:lastseen", userId);
       });
 
       const results = await pipeline.exec();
 
-      return userIds.map((userId, index) => ({
-        userId,
-        isOnline: results[index][1] === 1,
-      }));
+      return userIds.map((userId, index) => {
+        const lastSeen = results[index * 2 + 1][1];
+        return {
+          userId,
+          isOnline: results[index * 2][1] === 1,
+          lastSeen: lastSeen ? parseInt(lastSeen) : null,
+        };
+      });
     } catch (error) {
       console.error("ConnectionManager getBulkPresence error:", error);
       return [];
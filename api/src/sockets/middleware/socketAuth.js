@@ -1,5 +1,8 @@
 // api/src/sockets/middleware/socketAuth.js
-export const socketAuth = (socket, next) => {
+import { verifyAccessToken } from "../../config/jwt.js";
+import { sessionService } from "../../services/session.service.js";
+
+export const socketAuth = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token || socket.handshake.query.token;
     if (!token) {
@@ -11,8 +14,15 @@ export const socketAuth = (socket, next) => {
       return next(new Error('Invalid authentication token'));
     }
     
+    // Revoked sessions can't reconnect with a still-unexpired access token
+    const { sessionId } = decoded;
+    if (sessionId && !(await sessionService.isActive(sessionId))) {
+      return next(new Error('Session has been revoked'));
+    }
+
     // Fix: Use email instead of phone
     socket.userId = decoded.userId;
+    socket.sessionId = sessionId;
     socket.user = decoded; // Attach full decoded payload
     next();
   } catch (error) {
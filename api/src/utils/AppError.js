@@ -18,14 +18,17 @@ export class BadRequestError extends AppError {
 }
 
 export class UnauthorizedError extends AppError {
-  constructor(message = "Unauthorized") {
+  constructor(message = "Unauthorized", code = null) {
     super(message, 401);
+    this.code = code;
   }
 }
 
 export class ForbiddenError extends AppError {
-  constructor(message = "Forbidden") {
+  constructor(message = "Forbidden", code = null, retryAfter = null) {
     super(message, 403);
+    this.code = code; // Machine-readable reason, e.g. "SEND_MESSAGES_FORBIDDEN"
+    this.retryAfter = retryAfter; // Seconds, when the restriction is temporary
   }
 }
 
@@ -41,6 +44,14 @@ export class ConflictError extends AppError {
   }
 }
 
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too Many Requests", code = null, retryAfter = null) {
+    super(message, 429);
+    this.code = code;
+    this.retryAfter = retryAfter; // Seconds until the action is allowed again
+  }
+}
+
 export class ValidationError extends AppError {
   constructor(message = "Validation Failed") {
     super(message, 422);
@@ -10,9 +10,15 @@ export const successResponse = (
   timestamp: new Date().toISOString(),
 });
 
-export const errorResponse = (message, errors = null, statusCode = 500) => ({
+export const errorResponse = (
+  message,
+  errors = null,
+  statusCode = 500,
+  code = null
+) => ({
   success: false,
   message,
+  ...(code && { code }),
   errors,
   statusCode,
   timestamp: new Date().toISOString(),
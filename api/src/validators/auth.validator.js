@@ -1,5 +1,18 @@
 import Joi from "joi";
 
+// Optional device details shown in the user's session list
+const deviceFields = {
+  deviceName: Joi.string().trim().max(100),
+  platform: Joi.string().valid(
+    "ios",
+    "android",
+    "macos",
+    "windows",
+    "linux",
+    "unknown"
+  ),
+};
+
 export const registerSchema = Joi.object({
   email: Joi.string()
     .email({ tlds: { allow: false } })
@@ -40,6 +53,8 @@ export const registerSchema = Joi.object({
         "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character",
       "any.required": "Password is required",
     }),
+
+  ...deviceFields,
 });
 
 export const loginSchema = Joi.object({
@@ -56,6 +71,20 @@ export const loginSchema = Joi.object({
   password: Joi.string().required().messages({
     "any.required": "Password is required",
   }),
+
+  ...deviceFields,
+});
+
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+
+  code: Joi.string().trim().max(20).required().messages({
+    "any.required": "Verification code is required",
+  }),
+
+  ...deviceFields,
 });
 
 export const refreshTokenSchema = Joi.object({
@@ -63,3 +92,9 @@ export const refreshTokenSchema = Joi.object({
     "any.required": "Refresh token is required",
   }),
 });
+
+export const unlockAccountSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Unlock token is required",
+  }),
+});
@@ -0,0 +1,37 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+const recipientIds = Joi.array().items(objectId).min(1).max(256).unique();
+
+export const createBroadcastListSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow("", null).optional(),
+  recipientIds: recipientIds.required().messages({
+    "array.min": "Add at least one recipient",
+    "any.required": "Recipients are required",
+  }),
+});
+
+export const updateBroadcastListSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow("", null).optional(),
+  recipientIds: recipientIds.optional().messages({
+    "array.min": "Add at least one recipient",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a name or recipients to update",
+  });
+
+export const broadcastMessageSchema = Joi.object({
+  content: Joi.alternatives()
+    .try(Joi.string().trim().min(1).max(10000), Joi.object())
+    .required()
+    .messages({
+      "alternatives.match": "Content must be text or an object",
+      "any.required": "Content is required",
+    }),
+  type: Joi.string()
+    .valid("text", "emoji", "contact", "location")
+    .default("text"),
+});
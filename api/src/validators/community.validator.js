@@ -0,0 +1,32 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+export const createCommunitySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "string.empty": "Community name is required",
+    "any.required": "Community name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("").optional(),
+  isPublic: Joi.boolean().optional(),
+  // Existing groups (you administer) to bring into the community
+  groupIds: Joi.array().items(objectId).max(50).unique().optional(),
+});
+
+export const communityGroupSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "string.empty": "Group name is required",
+    "any.required": "Group name is required",
+  }),
+  description: Joi.string().trim().max(300).allow("").optional(),
+});
+
+export const communityMembersSchema = Joi.object({
+  userIds: Joi.array().items(objectId).min(1).max(256).unique().required(),
+});
+
+export const communityRoleSchema = Joi.object({
+  role: Joi.string().valid("member", "admin").required().messages({
+    "any.only": "Role must be member or admin",
+  }),
+});
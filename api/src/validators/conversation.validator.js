@@ -0,0 +1,31 @@
+import Joi from "joi";
+
+export const disappearingMessagesSchema = Joi.object({
+  // Seconds from send until a message disappears; null turns it off
+  messageTTL: Joi.number()
+    .integer()
+    .min(60)
+    .max(90 * 24 * 60 * 60)
+    .allow(null)
+    .required()
+    .messages({
+      "number.min": "Timer must be at least 1 minute",
+      "number.max": "Timer can be at most 90 days",
+      "any.required": "messageTTL is required (null turns it off)",
+    }),
+});
+
+export const muteConversationSchema = Joi.object({
+  duration: Joi.string().valid("8h", "1w", "forever").required().messages({
+    "any.only": "Mute duration must be one of 8h, 1w or forever",
+    "any.required": "Mute duration is required",
+  }),
+});
+
+export const chatFolderSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(30).required().messages({
+    "string.empty": "Folder name is required",
+    "string.max": "Folder name can be at most 30 characters",
+    "any.required": "Folder name is required",
+  }),
+});
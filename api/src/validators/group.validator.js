@@ -0,0 +1,122 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+const capability = Joi.string().valid(
+  "sendMessages",
+  "createPolls",
+  "editInfo",
+  "addMembers",
+  "pinMessages",
+  "removeMembers",
+  "deleteMessages",
+  "muteMembers",
+  "manageInvites"
+);
+
+export const inviteLinkSchema = Joi.object({
+  expiresAt: Joi.date().iso().allow(null).optional().messages({
+    "date.format": "Expiry must be an ISO 8601 date",
+  }),
+  maxUses: Joi.number().integer().min(1).max(10000).allow(null).optional(),
+  requiresApproval: Joi.boolean().optional(),
+});
+
+const permissionLevel = Joi.string().valid("everyone", "admins", "owner");
+
+export const groupPermissionsSchema = Joi.object({
+  sendMessages: permissionLevel,
+  editInfo: permissionLevel,
+  addMembers: permissionLevel,
+  pinMessages: permissionLevel,
+  createPolls: permissionLevel,
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide at least one permission to update",
+    "any.only": "Permission must be one of everyone, admins or owner",
+  });
+
+export const groupSettingsSchema = Joi.object({
+  maxPinnedMessages: Joi.number().integer().min(1).max(50).messages({
+    "number.min": "At least 1 message must be pinnable",
+    "number.max": "At most 50 messages can be pinned",
+  }),
+  // Minutes senders may edit a message for; 0 turns editing off
+  editWindowMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(7 * 24 * 60)
+    .messages({
+      "number.max": "Edit window can be at most 1 week",
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide at least one setting to update",
+  });
+
+export const assignRoleSchema = Joi.object({
+  // "owner" only changes hands through transfer-ownership
+  role: Joi.string().valid("member", "moderator", "admin").messages({
+    "any.only": "Role must be one of member, moderator or admin",
+  }),
+  // A custom role on top of the built-in one; null clears it
+  customRoleId: objectId.allow(null),
+})
+  .or("role", "customRoleId")
+  .messages({
+    "object.missing": "Provide a role or customRoleId",
+  });
+
+const roleName = Joi.string().trim().min(1).max(30).messages({
+  "string.empty": "Role name is required",
+  "string.max": "Role name can be at most 30 characters",
+});
+
+const rolePermissions = Joi.array().items(capability).unique().messages({
+  "any.only": "Unknown permission in role",
+});
+
+export const createRoleSchema = Joi.object({
+  name: roleName.required().messages({
+    "any.required": "Role name is required",
+  }),
+  permissions: rolePermissions.default([]),
+});
+
+export const updateRoleSchema = Joi.object({
+  name: roleName,
+  permissions: rolePermissions,
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a name or permissions to update",
+  });
+
+export const memberTimeoutSchema = Joi.object({
+  // Seconds the member can't send messages, reactions or polls
+  duration: Joi.number()
+    .integer()
+    .min(60)
+    .max(28 * 24 * 60 * 60)
+    .required()
+    .messages({
+      "number.min": "Timeout must be at least 1 minute",
+      "number.max": "Timeout can be at most 28 days",
+      "any.required": "Timeout duration is required",
+    }),
+});
+
+export const slowModeSchema = Joi.object({
+  // One message per member every N seconds; 0 turns it off
+  seconds: Joi.number()
+    .integer()
+    .min(0)
+    .max(6 * 60 * 60)
+    .required()
+    .messages({
+      "number.max": "Slow mode interval can be at most 6 hours",
+      "any.required": "Slow mode interval is required (0 turns it off)",
+    }),
+});
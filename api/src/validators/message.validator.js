@@ -0,0 +1,68 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+const scheduledContent = Joi.alternatives()
+  .try(Joi.string().trim().min(1).max(10000), Joi.object())
+  .messages({
+    "alternatives.match": "Content must be text or an object",
+  });
+
+export const scheduleMessageSchema = Joi.object({
+  content: scheduledContent.required().messages({
+    "any.required": "Content is required",
+  }),
+  type: Joi.string()
+    .valid("text", "emoji", "contact", "location")
+    .default("text"),
+  replyTo: objectId.optional(),
+  scheduledFor: Joi.date().iso().required().messages({
+    "date.format": "Scheduled time must be an ISO 8601 date",
+    "any.required": "Scheduled time is required",
+  }),
+});
+
+export const updateScheduledMessageSchema = Joi.object({
+  content: scheduledContent.optional(),
+  scheduledFor: Joi.date().iso().optional().messages({
+    "date.format": "Scheduled time must be an ISO 8601 date",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide content or scheduledFor to update",
+  });
+
+export const searchMessagesSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required().messages({
+    "string.min": "Search query must be at least 2 characters",
+    "any.required": "Search query is required",
+  }),
+  conversationId: objectId.optional(),
+  senderId: objectId.optional(),
+  type: Joi.string().optional(),
+  from: Joi.date().iso().optional().messages({
+    "date.format": "from must be a valid ISO 8601 date",
+  }),
+  to: Joi.date().iso().optional().messages({
+    "date.format": "to must be a valid ISO 8601 date",
+  }),
+  before: Joi.date().iso().optional().messages({
+    "date.format": "before must be a valid ISO 8601 date",
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export const forwardMessageSchema = Joi.object({
+  conversationIds: Joi.array()
+    .items(objectId)
+    .min(1)
+    .max(5)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "Select at least one conversation",
+      "array.max": "Messages can be forwarded to at most 5 chats at once",
+      "any.required": "Target conversations are required",
+    }),
+});
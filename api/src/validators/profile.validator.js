@@ -9,6 +9,22 @@ export const updateProfileSchema = Joi.object({
     .trim()
     .optional(),
   about: Joi.string().max(150).trim().allow("").optional(),
+  // Takes effect once the new address is verified
+  email: Joi.string()
+    .email({ tlds: { allow: false } })
+    .lowercase()
+    .trim()
+    .max(255)
+    .optional(),
+  currentPassword: Joi.string()
+    .when("email", {
+      is: Joi.exist(),
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "any.required": "Current password is required to change your email",
+    }),
 });
 
 export const changePasswordSchema = Joi.object({
@@ -55,3 +71,19 @@ export const resetPasswordSchema = Joi.object({
       "any.required": "Password is required",
     }),
 });
+
+// Codes from an authenticator app (6 digits) or backup codes (xxxxx-xxxxx)
+const twoFactorCode = Joi.string().trim().max(20).required().messages({
+  "any.required": "Verification code is required",
+});
+
+export const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode,
+});
+
+export const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  code: twoFactorCode,
+});